@@ -1,26 +1,164 @@
 // CONFIG
-
-// keys:
-// A2ETSXLOGFIEWP5Y
-// 73KPORDX0QUY3AIL
-// BN7KF2HRYBJF9EQY
-
-const ALPHA_VANTAGE_KEY = "BN7KF2HRYBJF9EQY";
 const ALPHA_VANTAGE_BASE = "https://www.alphavantage.co/query";
-
-const BENCHMARK_SYMBOLS = {
-  spy: "SPY",
-  dia: "DIA",
-  qqq: "QQQ",
+// Each user brings their own key; it is entered on the Settings page.
+const API_KEY_STORAGE_KEY = "alphaVantageKey";
+
+// Benchmarks are a single symbol or a fixed-weight blend. These are the
+// defaults until the user edits the list in Settings.
+const DEFAULT_BENCHMARKS = [
+  {
+    id: "spy",
+    label: "SPY",
+    color: "#7fb4ff",
+    enabled: true,
+    components: [{ symbol: "SPY", weight: 1 }],
+  },
+  {
+    id: "dia",
+    label: "DIA",
+    color: "#9cdbba",
+    enabled: false,
+    components: [{ symbol: "DIA", weight: 1 }],
+  },
+  {
+    id: "qqq",
+    label: "QQQ",
+    color: "#f1b8ff",
+    enabled: false,
+    components: [{ symbol: "QQQ", weight: 1 }],
+  },
+];
+const BENCHMARKS_STORAGE_KEY = "benchmarks";
+const INDICATORS_STORAGE_KEY = "searchIndicators";
+const RECENT_SYMBOLS_STORAGE_KEY = "recentSymbols";
+const COMPARE_STORAGE_KEY = "compareSymbols";
+// Largest share of the portfolio any one bucket may hold before it is flagged.
+const CONCENTRATION_LIMIT_STORAGE_KEY = "concentrationLimit";
+const DEFAULT_CONCENTRATION_LIMIT = 0.25;
+const REBALANCE_STORAGE_KEY = "rebalanceTargets";
+const BACKTEST_STORAGE_KEY = "backtestStrategy";
+// Market-data splits the user chose not to record: { [portfolioId]: ["SYM|date"] }.
+const DISMISSED_SPLITS_STORAGE_KEY = "dismissedSplits";
+
+// Trading calendar that drives the x-axis of every chart.
+const CALENDAR_SYMBOL = "SPY";
+
+// Named portfolios: { activeId, portfolios: [{ id, name, transactions }] }.
+// The single-ledger keys below are only read to migrate older data.
+const PORTFOLIOS_STORAGE_KEY = "portfolios";
+const TRANSACTIONS_STORAGE_KEY = "portfolioTransactions";
+const POSITIONS_STORAGE_KEY = "portfolioPositions";
+const LEGACY_TICKERS_STORAGE_KEY = "portfolioTickers";
+
+// Portfolio values are reported in the base currency. Trades and dividends are
+// recorded in the listing's currency. Deposits and withdrawals carry their own,
+// which defaults to the base currency when they are entered.
+const BASE_CURRENCY_STORAGE_KEY = "baseCurrency";
+const DEFAULT_BASE_CURRENCY = "USD";
+const BASE_CURRENCIES = ["USD", "EUR", "GBP", "JPY", "CAD", "CHF", "AUD"];
+// Listing currency per symbol, learned from symbol search and company overviews.
+const SYMBOL_CURRENCIES_STORAGE_KEY = "symbolCurrencies";
+
+// A split's `shares` is the ratio of new shares to old (2 for a 2-for-1 split,
+// 0.1 for a 1-for-10 reverse split).
+const TRANSACTION_TYPES = ["buy", "sell", "dividend", "deposit", "withdrawal", "split"];
+
+// Used for Sharpe and Sortino ratios.
+const RISK_FREE_RATE = 0.04;
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Free-tier Alpha Vantage quotas, and how long each endpoint's responses stay fresh.
+const API_LIMITS = {
+  perMinute: 5,
+  perDay: 25,
 };
-
-const priceCache = new Map();
+const THROTTLE_BACKOFF_MS = 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const CACHE_TTLS = {
+  TIME_SERIES_DAILY: 12 * HOUR_MS,
+  TIME_SERIES_DAILY_ADJUSTED: 12 * HOUR_MS,
+  GLOBAL_QUOTE: 5 * 60 * 1000,
+  FX_DAILY: 12 * HOUR_MS,
+  OVERVIEW: 7 * 24 * HOUR_MS,
+  INCOME_STATEMENT: 7 * 24 * HOUR_MS,
+  BALANCE_SHEET: 7 * 24 * HOUR_MS,
+  CASH_FLOW: 7 * 24 * HOUR_MS,
+  EARNINGS: 7 * 24 * HOUR_MS,
+  SYMBOL_SEARCH: 30 * 24 * HOUR_MS,
+  NEWS_SENTIMENT: 30 * 60 * 1000,
+};
+const DEFAULT_CACHE_TTL = HOUR_MS;
+const CACHE_DB_NAME = "portfolioStudio";
+const CACHE_STORE_NAME = "responses";
+const API_USAGE_STORAGE_KEY = "apiUsage";
+const PRICE_HISTORY_STORAGE_KEY = "priceHistoryOptions";
+const COMPACT_SERIES_LENGTH = 100;
+
+// Watchlist quotes refresh no faster than the quote cache expires.
+const WATCHLIST_STORAGE_KEY = "watchlist";
+const WATCHLIST_QUOTES_STORAGE_KEY = "watchlistQuotes";
+const ALERT_HISTORY_STORAGE_KEY = "alertHistory";
+const ALERT_HISTORY_LIMIT = 100;
+const WATCHLIST_MIN_REFRESH_MS = CACHE_TTLS.GLOBAL_QUOTE;
+const WATCHLIST_DAILY_SHARE = 0.6;
 
 // Portfolio state
+// The ledger is the source of truth; `portfolio` holds the open lots derived
+// from it: { id, symbol, shares, costBasis, purchaseDate }
+let transactions = [];
 let portfolio = [];
+let portfolios = [];
+let activePortfolioId = null;
+// Last ledger replay behind the portfolio chart, for the performance export.
+let portfolioHistory = null;
+let editingTransactionId = null;
+let benchmarks = [];
+// Benchmarks from a shared link. They drive the search chart for this visit
+// only and are never saved; null means the saved toggles apply.
+let sharedBenchmarks = null;
+// Current positions behind the allocation card, and which breakdown it shows.
+let allocationPositions = [];
+let allocationDimension = "holding";
+let allocationChart = null;
+let allocationToken = 0;
+// What the loaded positions were built from; see allocationInputsKey.
+let allocationKey = null;
+// Last rebalance plan, kept for export.
+let rebalancePlan = null;
+
+// Request layer state
+const memoryCache = new Map();
+const inFlightRequests = new Map();
+const requestQueue = [];
+let requestQueueRunning = false;
+let throttledUntil = 0;
+let cacheDbPromise = null;
+
+// Watchlist state
+let watchlist = [];
+const watchlistQuotes = new Map();
+let watchlistTimer = null;
+let watchlistRefreshedAt = 0;
+
+// Which range preset each chart last used; null once a custom range is entered.
+const activeRangePresets = {
+  portfolio: null,
+  search: null,
+  compare: null,
+  backtest: null,
+};
 let portfolioChart = null;
 let searchChart = null;
+let searchVolumeChart = null;
+// "relative" (indexed to 100), "candles" or "ohlc"
+let searchChartMode = "relative";
+let searchIndicatorCharts = [];
 let currentSearchSymbol = null;
+// Which statement and period the Search page's Financials card shows.
+const financialsView = { tab: "income", period: "annual" };
+let financialsToken = 0;
+let searchPicker = null;
+let positionPicker = null;
 
 // UTILS
 function $(selector) {
@@ -34,23 +172,67 @@ function createEl(tag, className, text) {
   return el;
 }
 
-async function fetchJson(url) {
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status}`);
-  }
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  const data = await res.json();
+function apiError(message, flags = {}) {
+  return Object.assign(new Error(message), flags);
+}
 
-  const apiMessage = data.Note || data.Information || data["Error Message"];
-  if (apiMessage) {
-    console.error("Alpha Vantage error:", apiMessage);
-    throw new Error(apiMessage);
+// Turns request-layer failures into something a user can act on.
+function describeApiError(error, fallback) {
+  if (error && error.missingKey) {
+    return "Add your Alpha Vantage API key in Settings to load market data.";
+  }
+  if (error && error.budgetExhausted) {
+    return (
+      "Today's Alpha Vantage request budget is used up. Cached data still loads; " +
+      "new data resumes tomorrow."
+    );
+  }
+  if (error && error.throttled) {
+    return "Alpha Vantage is rate limiting requests right now. Try again in a minute.";
   }
+  return fallback;
+}
 
-  return data;
+function formatCurrency(value, currency = "USD") {
+  if (value === null || value === undefined || Number.isNaN(value)) return "—";
+  const amount = Number(value).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  if (currency === "USD") return `$${amount}`;
+  try {
+    return Number(value).toLocaleString(undefined, { style: "currency", currency });
+  } catch (e) {
+    // Intl only accepts well-formed three-letter codes.
+    return `${amount} ${currency}`;
+  }
+}
+
+function formatCompactCurrency(value, currency = "USD") {
+  if (value === null || value === undefined || Number.isNaN(value)) return "—";
+  const compact = Math.abs(value).toLocaleString(undefined, {
+    notation: "compact",
+    maximumFractionDigits: 1,
+  });
+  const sign = value < 0 ? "-" : "";
+  return currency === "USD" ? `${sign}$${compact}` : `${sign}${compact} ${currency}`;
+}
+
+// Listings as symbol search returns them: plain tickers and exchange-suffixed
+// ones such as APC.DEX, BRK-B or 600104.SHH.
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.\-]{0,14}$/;
+
+function isValidSymbol(symbol) {
+  return SYMBOL_PATTERN.test(symbol);
 }
 
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
 function formatDateLabel(dateStr) {
   // dateStr is "YYYY-MM-DD"
@@ -58,14 +240,39 @@ function formatDateLabel(dateStr) {
 }
 
 
-function deriveDateRange(startInput, endInput, availableDates) {
+// Presets are measured back from the last available date; "MAX" uses everything.
+const RANGE_PRESETS = ["1M", "3M", "YTD", "1Y", "5Y", "MAX"];
+
+function shiftDateString(dateStr, { months = 0, years = 0 }) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + years, d.getUTCMonth() + months);
+  return d.toISOString().slice(0, 10);
+}
+
+function presetStartDate(preset, endDate, firstDate) {
+  switch (preset) {
+    case "1M":
+      return shiftDateString(endDate, { months: -1 });
+    case "3M":
+      return shiftDateString(endDate, { months: -3 });
+    case "YTD":
+      return `${endDate.slice(0, 4)}-01-01`;
+    case "1Y":
+      return shiftDateString(endDate, { years: -1 });
+    case "5Y":
+      return shiftDateString(endDate, { years: -5 });
+    default:
+      return firstDate;
+  }
+}
+
+function deriveDateRange(startInput, endInput, availableDates, preset = "1Y") {
   if (!availableDates || availableDates.length === 0) {
     return { start: null, end: null };
   }
 
   const sortedDates = [...availableDates].sort(); // "YYYY-MM-DD" strings
 
-
   let end = endInput.value || sortedDates[sortedDates.length - 1];
   endInput.value = end;
 
@@ -73,20 +280,11 @@ function deriveDateRange(startInput, endInput, availableDates) {
     return { start: startInput.value, end };
   }
 
-  const endDateObj = new Date(end);
-  const oneYearAgo = new Date(endDateObj);
-  oneYearAgo.setFullYear(endDateObj.getFullYear() - 1);
-
-  const pad = (n) => String(n).padStart(2, "0");
-  const oneYearAgoStr = [
-    oneYearAgo.getFullYear(),
-    pad(oneYearAgo.getMonth() + 1),
-    pad(oneYearAgo.getDate()),
-  ].join("-");
+  const target = presetStartDate(preset, end, sortedDates[0]);
 
   let start = sortedDates[0];
   for (const d of sortedDates) {
-    if (d >= oneYearAgoStr) {
+    if (d >= target) {
       start = d;
       break;
     }
@@ -96,297 +294,4155 @@ function deriveDateRange(startInput, endInput, availableDates) {
   return { start, end };
 }
 
+// REQUEST LAYER
+// fetchJson sits on top of a cache (memory, then IndexedDB), an in-flight map
+// so identical calls share one request, and a queue that paces real network
+// calls to stay inside the per-minute and per-day quotas.
+function requestFunctionName(url) {
+  return new URL(url).searchParams.get("function") || "";
+}
 
+function cacheKeyFor(url) {
+  const parsed = new URL(url);
+  parsed.searchParams.delete("apikey");
+  parsed.searchParams.sort();
+  return parsed.toString();
+}
 
-// NAVIGATION
-function initNavigation() {
-  const tabs = document.querySelectorAll(".nav-tab");
-  const pages = document.querySelectorAll(".page");
-
-  tabs.forEach((tab) => {
-    tab.addEventListener("click", () => {
-      const targetId = tab.dataset.target;
-
-      tabs.forEach((t) => t.classList.toggle("nav-tab--active", t === tab));
-      pages.forEach((page) => {
-        const active = page.id === targetId;
-        page.classList.toggle("page--active", active);
-        page.hidden = !active;
-      });
+function cacheTtlFor(url) {
+  return CACHE_TTLS[requestFunctionName(url)] ?? DEFAULT_CACHE_TTL;
+}
 
-      if (targetId === "news-page") {
-        refreshNewsPage();
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
       }
+      const request = indexedDB.open(CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CACHE_STORE_NAME, { keyPath: "key" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("IndexedDB unavailable, caching in memory only", request.error);
+        resolve(null);
+      };
     });
+  }
+  return cacheDbPromise;
+}
+
+async function readCachedResponse(key) {
+  if (memoryCache.has(key)) return memoryCache.get(key);
+
+  const db = await openCacheDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    const request = db.transaction(CACHE_STORE_NAME).objectStore(CACHE_STORE_NAME).get(key);
+    request.onsuccess = () => {
+      const entry = request.result || null;
+      if (entry) memoryCache.set(key, entry);
+      resolve(entry);
+    };
+    request.onerror = () => resolve(null);
   });
 }
 
-// PORTFOLIO: LOCAL STORAGE
-function loadPortfolioFromStorage() {
+async function writeCachedResponse(key, data) {
+  const entry = { key, data, storedAt: Date.now() };
+  memoryCache.set(key, entry);
+
+  const db = await openCacheDb();
+  if (!db) return;
   try {
-    const raw = localStorage.getItem("portfolioTickers");
-    if (!raw) return;
-    const arr = JSON.parse(raw);
-    if (Array.isArray(arr)) {
-      portfolio = arr;
+    db.transaction(CACHE_STORE_NAME, "readwrite").objectStore(CACHE_STORE_NAME).put(entry);
+  } catch (e) {
+    console.warn("Unable to write response cache", e);
+  }
+}
+
+function todayKey() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function loadApiUsage() {
+  try {
+    const usage = JSON.parse(localStorage.getItem(API_USAGE_STORAGE_KEY) || "null");
+    if (usage && usage.day === todayKey()) {
+      const cutoff = Date.now() - 60 * 1000;
+      return { ...usage, recent: (usage.recent || []).filter((ts) => ts > cutoff) };
     }
   } catch (e) {
-    console.warn("Unable to read portfolio from storage", e);
+    console.warn("Unable to read API usage", e);
   }
+  return { day: todayKey(), count: 0, recent: [] };
 }
 
-function savePortfolioToStorage() {
-  localStorage.setItem("portfolioTickers", JSON.stringify(portfolio));
+function saveApiUsage(usage) {
+  localStorage.setItem(API_USAGE_STORAGE_KEY, JSON.stringify(usage));
 }
 
-// PORTFOLIO UI
-function renderPortfolioList() {
-  const list = $("#portfolio-list");
-  list.innerHTML = "";
+function msUntilNextSlot(usage) {
+  const now = Date.now();
+  let wait = Math.max(0, throttledUntil - now);
+  if (usage.recent.length >= API_LIMITS.perMinute) {
+    wait = Math.max(wait, usage.recent[0] + 60 * 1000 - now);
+  }
+  return wait;
+}
 
-  if (portfolio.length === 0) {
-    const empty = createEl("li", "muted tiny", "No tickers yet. Add one above to begin.");
-    list.appendChild(empty);
-    return;
+function isThrottleMessage(message) {
+  return /rate limit|call frequency|per minute|per day|requests per/i.test(message);
+}
+
+async function fetchJsonOnce(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
   }
 
-  portfolio.forEach((symbol) => {
-    const li = createEl("li", "chip");
-    const span = createEl("span", "chip-symbol", symbol);
-    const removeBtn = createEl("button", "chip-remove", "×");
-    removeBtn.setAttribute("type", "button");
-    removeBtn.setAttribute("aria-label", `Remove ${symbol} from portfolio`);
-    removeBtn.addEventListener("click", () => {
-      portfolio = portfolio.filter((s) => s !== symbol);
-      savePortfolioToStorage();
-      renderPortfolioList();
-      updatePortfolioChart();
-    });
-    li.append(span, removeBtn);
-    list.appendChild(li);
-  });
+  const data = await res.json();
+
+  const apiMessage = data.Note || data.Information || data["Error Message"];
+  if (apiMessage) {
+    console.error("Alpha Vantage error:", apiMessage);
+    throw apiError(apiMessage, { throttled: isThrottleMessage(apiMessage) });
+  }
+
+  return data;
 }
 
-// ALPHA VANTAGE CALLS
-async function fetchDailySeries(symbol) {
-  const key = `DAILY_${symbol.toUpperCase()}`;
-  if (priceCache.has(key)) return priceCache.get(key);
+function enqueueRequest(url) {
+  return new Promise((resolve, reject) => {
+    requestQueue.push({ url, resolve, reject, retried: false });
+    renderApiStatus();
+    runRequestQueue();
+  });
+}
 
-  const url = `${ALPHA_VANTAGE_BASE}?function=TIME_SERIES_DAILY&symbol=${encodeURIComponent(
-    symbol
-  )}&outputsize=compact&apikey=${ALPHA_VANTAGE_KEY}`;
+async function runRequestQueue() {
+  if (requestQueueRunning) return;
+  requestQueueRunning = true;
 
-  const data = await fetchJson(url);
+  try {
+    while (requestQueue.length) {
+      const usage = loadApiUsage();
+      if (usage.count >= API_LIMITS.perDay) {
+        const error = apiError("Daily API budget used up", { budgetExhausted: true });
+        requestQueue.splice(0).forEach((job) => job.reject(error));
+        break;
+      }
 
-  const seriesKey = Object.keys(data).find((k) =>
-    k.toLowerCase().includes("time series (daily")
-  );
+      const wait = msUntilNextSlot(usage);
+      if (wait > 0) {
+        renderApiStatus(wait);
+        await sleep(Math.min(wait, 1000));
+        continue;
+      }
 
-  if (!seriesKey) {
-    console.error("No daily series in response for", symbol, data);
-    throw new Error(`Unexpected daily series response for ${symbol}`);
+      const job = requestQueue.shift();
+      usage.count += 1;
+      usage.recent.push(Date.now());
+      saveApiUsage(usage);
+      renderApiStatus();
+
+      try {
+        job.resolve(await fetchJsonOnce(job.url));
+      } catch (e) {
+        // Throttle notes clear once the minute window rolls over, so retry once.
+        if (e.throttled && !job.retried) {
+          job.retried = true;
+          throttledUntil = Date.now() + THROTTLE_BACKOFF_MS;
+          requestQueue.unshift(job);
+        } else {
+          job.reject(e);
+        }
+      }
+    }
+  } finally {
+    requestQueueRunning = false;
+    renderApiStatus();
   }
+}
 
-  const seriesObj = data[seriesKey];
-  const rows = Object.entries(seriesObj).map(([date, values]) => ({
-    date,
-    close: parseFloat(values["4. close"] || "0"),
-  }));
+async function fetchJson(url) {
+  const key = cacheKeyFor(url);
+  if (inFlightRequests.has(key)) return inFlightRequests.get(key);
 
-  const sorted = rows
-    .filter((row) => !Number.isNaN(row.close))
-    .sort((a, b) => (a.date < b.date ? -1 : 1));
+  const request = (async () => {
+    const cached = await readCachedResponse(key);
+    if (cached && Date.now() - cached.storedAt < cacheTtlFor(url)) {
+      return cached.data;
+    }
+
+    try {
+      const data = await enqueueRequest(url);
+      await writeCachedResponse(key, data);
+      return data;
+    } catch (e) {
+      // Stale data beats an empty chart when the quota is the problem.
+      if (cached && (e.throttled || e.budgetExhausted)) {
+        console.warn("Serving stale cached response for", key);
+        return cached.data;
+      }
+      throw e;
+    }
+  })();
 
-  priceCache.set(key, sorted);
-  return sorted;
+  inFlightRequests.set(key, request);
+  try {
+    return await request;
+  } finally {
+    inFlightRequests.delete(key);
+  }
 }
 
+function renderApiStatus(waitMs = 0) {
+  const el = $("#api-status");
+  if (!el) return;
 
-async function fetchGlobalQuote(symbol) {
-  const url = `${ALPHA_VANTAGE_BASE}?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(
-    symbol
-  )}&apikey=${ALPHA_VANTAGE_KEY}`;
-  const data = await fetchJson(url);
-  return data["Global Quote"] || {};
+  if (!getMarketDataProvider().usesApiBudget) {
+    el.textContent = `${getMarketDataProvider().label} • no API calls`;
+    el.classList.remove("api-status--busy");
+    return;
+  }
+
+  const usage = loadApiUsage();
+  const remaining = Math.max(0, API_LIMITS.perDay - usage.count);
+  const parts = [`${remaining}/${API_LIMITS.perDay} calls left today`];
+  if (requestQueue.length) {
+    parts.unshift(`${requestQueue.length} queued`);
+  }
+  if (waitMs > 0) {
+    parts.push(`next slot in ${Math.ceil(waitMs / 1000)}s`);
+  }
+  el.textContent = parts.join(" • ");
+  el.classList.toggle("api-status--busy", requestQueue.length > 0);
 }
 
-async function fetchOverview(symbol) {
-  const url = `${ALPHA_VANTAGE_BASE}?function=OVERVIEW&symbol=${encodeURIComponent(
-    symbol
-  )}&apikey=${ALPHA_VANTAGE_KEY}`;
-  return fetchJson(url);
+// NAVIGATION
+// `updateRoute` is false while a route from the URL is being applied.
+function showPage(targetId, { updateRoute = true } = {}) {
+  document
+    .querySelectorAll(".nav-tab")
+    .forEach((t) => t.classList.toggle("nav-tab--active", t.dataset.target === targetId));
+  document.querySelectorAll(".page").forEach((page) => {
+    const active = page.id === targetId;
+    page.classList.toggle("page--active", active);
+    page.hidden = !active;
+  });
+
+  if (targetId === "news-page") {
+    refreshNewsPage();
+  }
+  if (targetId === "compare-page") {
+    updateComparePage();
+  }
+  if (targetId === "settings-page") {
+    renderSettingsPage();
+  }
+  if (updateRoute) syncRoute();
 }
 
-async function symbolSearch(query) {
-  const url = `${ALPHA_VANTAGE_BASE}?function=SYMBOL_SEARCH&keywords=${encodeURIComponent(
-    query
-  )}&apikey=${ALPHA_VANTAGE_KEY}`;
-  const data = await fetchJson(url);
-  const matches = data["bestMatches"] || [];
-  if (!matches.length) return null;
+function initNavigation() {
+  document.querySelectorAll(".nav-tab").forEach((tab) => {
+    tab.addEventListener("click", () => showPage(tab.dataset.target));
+  });
+  // pushState never fires hashchange, so this only sees back/forward and
+  // hashes typed or pasted into the address bar.
+  window.addEventListener("hashchange", () => {
+    const route = parseRoute(location.hash);
+    if (route) applyRoute(route);
+  });
+}
 
-  const best = matches[0];
+// ROUTING
+// Routes are "#/<page>", plus "#/search/<SYMBOL>?range=1Y&bench=spy,qqq" or
+// "?start=YYYY-MM-DD&end=YYYY-MM-DD&bench=..." for a search. `bench` lists
+// benchmark tokens (see benchmarkToken); an empty one means none are shown.
+const ROUTE_PAGES = [
+  "portfolio",
+  "news",
+  "search",
+  "compare",
+  "backtest",
+  "watchlist",
+  "settings",
+];
+const ROUTE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns null for hashes that are not routes, such as in-page anchors. No hash
+// at all is the Portfolio page, so going back to the first entry works.
+function parseRoute(hash) {
+  if (!hash || hash === "#") return parseRoute("#/portfolio");
+  if (!hash.startsWith("#/")) return null;
+  const [path, query = ""] = hash.slice(2).split("?");
+  let page;
+  let symbol;
+  try {
+    [page, symbol] = path.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    console.warn("Ignoring malformed route", hash, e);
+    return null;
+  }
+  const params = new URLSearchParams(query);
+  const date = (key) => (ROUTE_DATE_PATTERN.test(params.get(key)) ? params.get(key) : null);
   return {
-    symbol: best["1. symbol"],
-    name: best["2. name"],
-    region: best["4. region"],
+    pageId: `${ROUTE_PAGES.includes(page) ? page : "portfolio"}-page`,
+    symbol: symbol ? symbol.toUpperCase() : null,
+    range: RANGE_PRESETS.includes(params.get("range")) ? params.get("range") : null,
+    start: date("start"),
+    end: date("end"),
+    bench: params.has("bench")
+      ? params
+          .get("bench")
+          .split(",")
+          .map((token) => token.trim().toLowerCase())
+          .filter(Boolean)
+      : null,
   };
 }
 
-async function fetchNews({ tickers, topics, limit = 20 }) {
-  const params = new URLSearchParams({
-    function: "NEWS_SENTIMENT",
-    apikey: ALPHA_VANTAGE_KEY,
-  });
-  if (tickers && tickers.length) {
-    params.set("tickers", tickers.join(","));
+function buildRoute() {
+  const active = document.querySelector(".page--active");
+  const page = active ? active.id.replace(/-page$/, "") : "portfolio";
+  if (page !== "search" || !currentSearchSymbol) return `#/${page}`;
+
+  const query = [];
+  if (activeRangePresets.search) {
+    query.push(`range=${activeRangePresets.search}`);
+  } else if ($("#search-start").value && $("#search-end").value) {
+    query.push(`start=${$("#search-start").value}`, `end=${$("#search-end").value}`);
   }
-  if (topics && topics.length) {
-    params.set("topics", topics.join(","));
+  query.push(`bench=${getSearchBenchmarks().map(benchmarkToken).join(",")}`);
+  return `#/search/${encodeURIComponent(currentSearchSymbol)}?${query.join("&")}`;
+}
+
+// A new page or ticker gets its own history entry; range and benchmark tweaks
+// update the current one.
+function syncRoute() {
+  const hash = buildRoute();
+  if (hash === location.hash) return;
+  const current = parseRoute(location.hash);
+  const next = parseRoute(hash);
+  const sameEntry =
+    current && current.pageId === next.pageId && current.symbol === next.symbol;
+  if (sameEntry) history.replaceState(null, "", hash);
+  else history.pushState(null, "", hash);
+}
+
+// Returns true when the search chart's benchmarks changed. The saved toggles
+// are left alone; see sharedBenchmarks.
+function applyBenchmarkRoute(tokens) {
+  if (!tokens) return false;
+  const next = tokens.map(benchmarkFromToken).filter(Boolean);
+  const sameAs = (list) => list.map(benchmarkToken).join() === tokens.join();
+  if (sameAs(getSearchBenchmarks())) return false;
+  sharedBenchmarks = sameAs(getEnabledBenchmarks()) ? null : next;
+  renderBenchmarkToggles();
+  return true;
+}
+
+function applyRoute(route) {
+  showPage(route.pageId, { updateRoute: false });
+  if (route.pageId !== "search-page" || !route.symbol) return;
+
+  const form = $("#search-range-form");
+  if (route.start && route.end) {
+    activeRangePresets.search = null;
+    $("#search-start").value = route.start;
+    $("#search-end").value = route.end;
+  } else {
+    activeRangePresets.search = route.range;
+    $("#search-start").value = "";
+    $("#search-end").value = "";
   }
-  params.set("sort", "LATEST");
-  params.set("limit", String(limit));
+  renderRangePresets(form, "search");
 
-  const url = `${ALPHA_VANTAGE_BASE}?${params.toString()}`;
-  const data = await fetchJson(url);
-  return data.feed || [];
+  applyBenchmarkRoute(route.bench);
+  if (route.symbol === currentSearchSymbol) {
+    updateSearchChart();
+    return;
+  }
+  searchPicker.reset();
+  $("#search-input").value = route.symbol;
+  $("#search-form").requestSubmit();
 }
 
-// PERFORMANCE CALCULATIONS
-function sliceSeriesByDate(series, startDate, endDate) {
-  return series.filter((row) => row.date >= startDate && row.date <= endDate);
+// PORTFOLIO: LOCAL STORAGE
+function normalizeLot(raw) {
+  if (!raw || typeof raw.symbol !== "string") return null;
+  const shares = Number(raw.shares);
+  const costBasis =
+    raw.costBasis === null || raw.costBasis === undefined || raw.costBasis === ""
+      ? null
+      : Number(raw.costBasis);
+  return {
+    id: raw.id || createId(),
+    symbol: raw.symbol.toUpperCase(),
+    shares: Number.isFinite(shares) && shares > 0 ? shares : 1,
+    costBasis: Number.isFinite(costBasis) ? costBasis : null,
+    purchaseDate: raw.purchaseDate || null,
+  };
 }
 
-function normalizeSeries(series) {
-  if (!series.length) return [];
-  const base = series[0].close;
-  return series.map((row) => ({
-    date: row.date,
-    value: (row.close / base) * 100,
-  }));
+// Older versions stored a bare list of symbols. Each one becomes a single-share
+// lot with no cost basis or purchase date so it is held across the whole chart.
+function migrateTickersToLots(tickers) {
+  return tickers
+    .filter((symbol) => typeof symbol === "string" && symbol.trim())
+    .map((symbol) => normalizeLot({ symbol: symbol.trim(), shares: 1 }));
 }
 
-async function buildDataset(symbol, startDate, endDate, label, color) {
-  const rawSeries = await fetchDailySeries(symbol);
-  const sliced = sliceSeriesByDate(rawSeries, startDate, endDate);
-  const norm = normalizeSeries(sliced);
+function lotToTransaction(lot) {
   return {
-    label: label || symbol.toUpperCase(),
-    data: norm.map((row) => row.value),
-    borderColor: color,
-    backgroundColor: "transparent",
-    borderWidth: 2,
-    pointRadius: 0,
-    tension: 0.25,
+    id: lot.id,
+    date: lot.purchaseDate,
+    type: "buy",
+    symbol: lot.symbol,
+    shares: lot.shares,
+    price: lot.costBasis,
+    amount: null,
   };
 }
 
-async function buildPortfolioDataset(startDate, endDate, color) {
-  if (!portfolio.length) return null;
+function normalizeTransaction(raw) {
+  if (!raw || !TRANSACTION_TYPES.includes(raw.type)) return null;
+  const toNumber = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+  const tx = {
+    id: raw.id || createId(),
+    date: raw.date || null,
+    type: raw.type,
+    symbol: raw.symbol ? String(raw.symbol).toUpperCase() : null,
+    shares: toNumber(raw.shares),
+    price: toNumber(raw.price),
+    amount: toNumber(raw.amount),
+  };
 
-  const allSeries = await Promise.all(portfolio.map((s) => fetchDailySeries(s)));
+  if (tx.type === "buy" || tx.type === "sell") {
+    if (!tx.symbol || !(tx.shares > 0)) return null;
+    if (tx.price !== null && !(tx.price >= 0)) return null;
+    tx.amount = null;
+  } else if (tx.type === "split") {
+    if (!tx.symbol || !(tx.shares > 0)) return null;
+    tx.price = null;
+    tx.amount = null;
+  } else {
+    if (!(tx.amount >= 0)) return null;
+    if (tx.type === "dividend" && !tx.symbol) return null;
+    if (tx.type !== "dividend") {
+      tx.symbol = null;
+      // Cash recorded before currencies were tracked was in dollars.
+      tx.currency = /^[A-Z]{3}$/.test(raw.currency) ? raw.currency : DEFAULT_BASE_CURRENCY;
+    }
+    tx.shares = null;
+    tx.price = null;
+  }
+  return tx;
+}
 
-  const baseSeries = sliceSeriesByDate(allSeries[0], startDate, endDate);
-  if (!baseSeries.length) return null;
+function loadLegacyLots() {
+  const raw = localStorage.getItem(POSITIONS_STORAGE_KEY);
+  if (raw) {
+    const arr = JSON.parse(raw);
+    return Array.isArray(arr) ? arr.map(normalizeLot).filter(Boolean) : [];
+  }
 
-  const dates = baseSeries.map((row) => row.date);
+  const legacyRaw = localStorage.getItem(LEGACY_TICKERS_STORAGE_KEY);
+  if (!legacyRaw) return [];
+  const legacy = JSON.parse(legacyRaw);
+  return Array.isArray(legacy) ? migrateTickersToLots(legacy) : [];
+}
 
-  const maps = allSeries.map((series) => {
-    const sliced = sliceSeriesByDate(series, startDate, endDate);
-    const map = new Map();
-    sliced.forEach((row) => map.set(row.date, row.close));
-    return map;
-  });
+// The pre-portfolios ledger (or older lot formats), as a transaction list.
+function loadLegacyTransactions() {
+  const raw = localStorage.getItem(TRANSACTIONS_STORAGE_KEY);
+  if (raw) {
+    const arr = JSON.parse(raw);
+    return Array.isArray(arr) ? arr.map(normalizeTransaction).filter(Boolean) : [];
+  }
+  return loadLegacyLots().map(lotToTransaction);
+}
 
-  const values = [];
-  dates.forEach((date) => {
-    const closes = maps
-      .map((m) => m.get(date))
-      .filter((v) => v !== undefined && !Number.isNaN(v));
-    if (closes.length !== portfolio.length) return; 
+function normalizePortfolio(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = String(raw.name || "").trim();
+  return {
+    id: raw.id || createId(),
+    name: name || "Untitled",
+    transactions: Array.isArray(raw.transactions)
+      ? raw.transactions.map(normalizeTransaction).filter(Boolean)
+      : [],
+  };
+}
 
-    if (!values.length) {
-      values.push({ date, base: closes });
+function loadPortfolioFromStorage() {
+  portfolios = [];
+  try {
+    const raw = localStorage.getItem(PORTFOLIOS_STORAGE_KEY);
+    if (raw) {
+      const stored = JSON.parse(raw) || {};
+      portfolios = (Array.isArray(stored.portfolios) ? stored.portfolios : [])
+        .map(normalizePortfolio)
+        .filter(Boolean);
+      activePortfolioId = stored.activeId;
     } else {
-      values.push({ date, base: closes });
+      const legacy = loadLegacyTransactions();
+      if (legacy.length) {
+        portfolios = [{ id: createId(), name: "My portfolio", transactions: legacy }];
+      }
     }
-  });
-
-  if (!values.length) return null;
+  } catch (e) {
+    console.warn("Unable to read portfolio from storage", e);
+  }
 
-  const basePrices = values[0].base;
-  const datasetValues = values.map((row) => {
-    const rets = row.base.map((p, idx) => p / basePrices[idx]);
-    const avg = rets.reduce((sum, r) => sum + r, 0) / rets.length;
-    return avg * 100;
-  });
+  if (!portfolios.length) {
+    portfolios = [{ id: createId(), name: "My portfolio", transactions: [] }];
+  }
+  if (!portfolios.some((p) => p.id === activePortfolioId)) {
+    activePortfolioId = portfolios[0].id;
+  }
+  transactions = getActivePortfolio().transactions;
+  portfolio = deriveOpenLots(transactions);
+
+  if (!localStorage.getItem(PORTFOLIOS_STORAGE_KEY)) {
+    savePortfolioToStorage();
+    localStorage.removeItem(TRANSACTIONS_STORAGE_KEY);
+    localStorage.removeItem(POSITIONS_STORAGE_KEY);
+    localStorage.removeItem(LEGACY_TICKERS_STORAGE_KEY);
+  }
+}
 
-  return {
-    label: "Portfolio",
-    data: datasetValues,
-    borderColor: color,
-    backgroundColor: "transparent",
-    borderWidth: 2.4,
-    pointRadius: 0,
-    tension: 0.25,
-  };
+function getActivePortfolio() {
+  return portfolios.find((p) => p.id === activePortfolioId);
 }
 
-// PORTFOLIO CHART
-async function updatePortfolioChart() {
-  const status = $("#portfolio-status");
-  const startInput = $("#portfolio-start");
-  const endInput = $("#portfolio-end");
+function savePortfolioToStorage() {
+  // `transactions` may have been reassigned (e.g. on delete), so write it back.
+  getActivePortfolio().transactions = transactions;
+  localStorage.setItem(
+    PORTFOLIOS_STORAGE_KEY,
+    JSON.stringify({ activeId: activePortfolioId, portfolios })
+  );
+}
 
-  status.textContent = "Loading data…";
+function getPortfolioSymbols() {
+  return [...new Set(portfolio.map((lot) => lot.symbol))];
+}
 
-  try {
-    const spySeries = await fetchDailySeries(BENCHMARK_SYMBOLS.spy);
-    const availableDates = spySeries.map((row) => row.date);
+function getLedgerSymbols() {
+  return [...new Set(transactions.filter((tx) => tx.symbol).map((tx) => tx.symbol))];
+}
 
-    const { start, end } = deriveDateRange(startInput, endInput, availableDates);
-    if (!start || !end) {
-      status.textContent = "Not enough data yet.";
-      return;
-    }
+// LEDGER
+// Undated transactions are opening balances and sort ahead of everything else.
+function sortTransactions(txs) {
+  return txs
+    .map((tx, idx) => ({ tx, idx }))
+    .sort((a, b) => (a.tx.date || "").localeCompare(b.tx.date || "") || a.idx - b.idx)
+    .map(({ tx }) => tx);
+}
 
-    const labels = sliceSeriesByDate(spySeries, start, end).map((row) =>
-      formatDateLabel(row.date)
-    );
+function transactionAmount(tx) {
+  if (tx.type === "buy" || tx.type === "sell") {
+    return tx.price === null ? null : tx.shares * tx.price;
+  }
+  return tx.amount;
+}
 
-    const datasets = [];
+function formatSplitRatio(ratio) {
+  return ratio >= 1 ? `${ratio}-for-1` : `1-for-${Math.round((1 / ratio) * 1000) / 1000}`;
+}
 
-    if (portfolio.length) {
-      const portfolioDs = await buildPortfolioDataset(
-        start,
-        end,
-        "rgba(191, 215, 255, 1)"
-      );
-      if (portfolioDs) datasets.push(portfolioDs);
+// Sells close the oldest lots first (FIFO). Each sell produces a realized
+// entry whose gain is null when either side of the trade has no price.
+function runFifo(txs) {
+  const lots = [];
+  const realized = [];
+  sortTransactions(txs).forEach((tx) => {
+    if (tx.type === "buy") {
+      lots.push({
+        id: tx.id,
+        symbol: tx.symbol,
+        shares: tx.shares,
+        costBasis: tx.price,
+        purchaseDate: tx.date,
+      });
+    } else if (tx.type === "sell") {
+      let remaining = tx.shares;
+      let gain = 0;
+      for (const lot of lots) {
+        if (remaining <= 0) break;
+        if (lot.symbol !== tx.symbol || lot.shares <= 0) continue;
+        const taken = Math.min(lot.shares, remaining);
+        if (gain !== null) {
+          gain =
+            lot.costBasis === null || tx.price === null
+              ? null
+              : gain + taken * (tx.price - lot.costBasis);
+        }
+        lot.shares -= taken;
+        remaining -= taken;
+      }
+      realized.push({ symbol: tx.symbol, date: tx.date, gain });
+    } else if (tx.type === "split") {
+      lots
+        .filter((lot) => lot.symbol === tx.symbol)
+        .forEach((lot) => {
+          lot.shares *= tx.shares;
+          if (lot.costBasis !== null) lot.costBasis /= tx.shares;
+        });
     }
+  });
+  return { lots: lots.filter((lot) => lot.shares > 1e-9), realized };
+}
 
-    const benchColors = {
-      spy: "rgba(127, 180, 255, 1)",
-      dia: "rgba(156, 219, 186, 1)",
-      qqq: "rgba(241, 184, 255, 1)",
-    };
+function deriveOpenLots(txs) {
+  return runFifo(txs).lots;
+}
 
-    const benchChecks = {
-      spy: $("#bench-spy").checked,
-      dia: $("#bench-dia").checked,
-      qqq: $("#bench-qqq").checked,
-    };
+function sharesHeldOn(txs, symbol, date) {
+  return sortTransactions(txs)
+    .filter((tx) => tx.symbol === symbol && (tx.date || "") <= (date || ""))
+    .reduce((total, tx) => {
+      if (tx.type === "buy") return total + tx.shares;
+      if (tx.type === "sell") return total - tx.shares;
+      if (tx.type === "split") return total * tx.shares;
+      return total;
+    }, 0);
+}
 
-    for (const [key, symbol] of Object.entries(BENCHMARK_SYMBOLS)) {
-      if (!benchChecks[key]) continue;
-      const color = benchColors[key];
-      const dataset = await buildDataset(symbol, start, end, symbol, color);
-      datasets.push(dataset);
+// Replays the ledger and returns every sell that asks for more shares than are
+// held at that point, as { tx, held }.
+function findOversoldSells(txs) {
+  const held = new Map();
+  const oversold = [];
+  sortTransactions(txs).forEach((tx) => {
+    const current = held.get(tx.symbol) || 0;
+    if (tx.type === "buy") {
+      held.set(tx.symbol, current + tx.shares);
+    } else if (tx.type === "split") {
+      held.set(tx.symbol, current * tx.shares);
+    } else if (tx.type === "sell") {
+      if (tx.shares > current + 1e-9) oversold.push({ tx, held: current });
+      held.set(tx.symbol, Math.max(current - tx.shares, 0));
     }
+  });
+  return oversold;
+}
 
-    if (portfolioChart) {
-      portfolioChart.destroy();
-    }
+// Edits anywhere in the ledger can strand a later sell, so a change is checked
+// against the whole replay. Sells that were already short before the change
+// (e.g. from an import) don't block it. Alerts and returns false on a problem.
+function checkLedgerChange(next) {
+  const before = new Set(findOversoldSells(transactions).map(({ tx }) => tx.id));
+  const problem = findOversoldSells(next).find(({ tx }) => !before.has(tx.id));
+  if (!problem) return true;
+  const { tx, held } = problem;
+  alert(
+    `That would leave the ${tx.symbol} sell on ${tx.date || "opening"} selling ` +
+      `${tx.shares.toLocaleString()} shares when only ${held.toLocaleString()} are held.`
+  );
+  return false;
+}
+
+// Applies one transaction to a running { holdings, cash } state and returns
+// the external cash flow it represents. Buys that overdraw cash are treated as
+// funded by a fresh contribution so a ledger with only buys still works.
+function applyLedgerTransaction(state, tx, prices) {
+  switch (tx.type) {
+    case "deposit":
+      state.cash += tx.amount;
+      return tx.amount;
+    case "withdrawal":
+      state.cash -= tx.amount;
+      return -tx.amount;
+    case "dividend":
+      state.cash += tx.amount;
+      return 0;
+    case "buy": {
+      const price = tx.price ?? prices.get(tx.symbol) ?? 0;
+      state.holdings.set(tx.symbol, (state.holdings.get(tx.symbol) || 0) + tx.shares);
+      state.cash -= tx.shares * price;
+      if (state.cash < 0) {
+        const shortfall = -state.cash;
+        state.cash = 0;
+        return shortfall;
+      }
+      return 0;
+    }
+    case "sell": {
+      const price = tx.price ?? prices.get(tx.symbol) ?? 0;
+      const held = state.holdings.get(tx.symbol) || 0;
+      const shares = Math.min(tx.shares, held);
+      if (held - shares > 1e-9) {
+        state.holdings.set(tx.symbol, held - shares);
+      } else {
+        state.holdings.delete(tx.symbol);
+      }
+      state.cash += shares * price;
+      return 0;
+    }
+    case "split":
+      if (state.holdings.has(tx.symbol)) {
+        state.holdings.set(tx.symbol, state.holdings.get(tx.symbol) * tx.shares);
+      }
+      return 0;
+    default:
+      return 0;
+  }
+}
+
+function valueHoldings(holdings, prices) {
+  let total = 0;
+  holdings.forEach((shares, symbol) => {
+    const price = prices.get(symbol);
+    if (price !== undefined) total += shares * price;
+  });
+  return total;
+}
+
+// Replays the ledger over the chart dates. Transactions take effect at the
+// close of their date (or the next trading day when it falls on a weekend).
+function replayLedger(txs, dates, priceMaps) {
+  const sorted = sortTransactions(txs);
+  const state = { holdings: new Map(), cash: 0 };
+  const lastPrices = new Map();
+  let cursor = 0;
+
+  return dates.map((date) => {
+    priceMaps.forEach((map, symbol) => {
+      if (map.has(date)) lastPrices.set(symbol, map.get(date));
+    });
+
+    let flow = 0;
+    while (cursor < sorted.length && (sorted[cursor].date || "") <= date) {
+      flow += applyLedgerTransaction(state, sorted[cursor], lastPrices);
+      cursor += 1;
+    }
+
+    return {
+      date,
+      holdings: new Map(state.holdings),
+      cash: state.cash,
+      value: state.cash + valueHoldings(state.holdings, lastPrices),
+      flow,
+    };
+  });
+}
+
+// Chain-links daily returns net of external flows, so deposits and new buys
+// change the size of the portfolio without showing up as gains.
+function buildLedgerIndex(rows) {
+  let index = null;
+  let prevValue = 0;
+  return rows.map((row) => {
+    if (index === null) {
+      if (row.value > 0) index = 100;
+    } else if (prevValue > 0) {
+      index *= (row.value - row.flow) / prevValue;
+    }
+    prevValue = row.value;
+    return index;
+  });
+}
+
+// PORTFOLIO UI
+function describeLot(lot) {
+  const parts = [`${lot.shares.toLocaleString()} sh`];
+  if (lot.costBasis !== null) {
+    parts.push(`@ ${formatCurrency(lot.costBasis, getSymbolCurrency(lot.symbol))}`);
+  }
+  if (lot.purchaseDate) parts.push(`• ${lot.purchaseDate}`);
+  return parts.join(" ");
+}
+
+function renderPortfolioList() {
+  const list = $("#portfolio-list");
+  list.innerHTML = "";
+
+  if (portfolio.length === 0) {
+    const empty = createEl("li", "muted tiny", "No positions yet. Add one above to begin.");
+    list.appendChild(empty);
+    return;
+  }
+
+  const sorted = [...portfolio].sort(
+    (a, b) =>
+      a.symbol.localeCompare(b.symbol) ||
+      (a.purchaseDate || "").localeCompare(b.purchaseDate || "")
+  );
+
+  sorted.forEach((lot) => {
+    const li = createEl("li", "chip chip--lot");
+    const span = createEl("span", "chip-symbol", lot.symbol);
+    const detail = createEl("span", "chip-detail", describeLot(lot));
+    const removeBtn = createEl("button", "chip-remove", "×");
+    removeBtn.setAttribute("type", "button");
+    removeBtn.setAttribute("aria-label", `Remove ${lot.symbol} lot from portfolio`);
+    removeBtn.addEventListener("click", () => {
+      const next = transactions.filter((tx) => tx.id !== lot.id);
+      if (!checkLedgerChange(next)) return;
+      transactions = next;
+      commitLedgerChange();
+    });
+    li.append(span, detail, removeBtn);
+    list.appendChild(li);
+  });
+}
+
+function commitLedgerChange() {
+  portfolio = deriveOpenLots(transactions);
+  savePortfolioToStorage();
+  renderPortfolioList();
+  renderLedgerTable();
+  updatePortfolioChart();
+}
+
+// PORTFOLIO SWITCHER
+function renderPortfolioSwitcher() {
+  const select = $("#portfolio-select");
+  select.innerHTML = "";
+  portfolios.forEach((p) => {
+    const option = createEl("option", null, p.name);
+    option.value = p.id;
+    select.appendChild(option);
+  });
+  select.value = activePortfolioId;
+  $("#portfolio-delete").disabled = portfolios.length < 2;
+}
+
+function activatePortfolio(id) {
+  if (!portfolios.some((p) => p.id === id)) return;
+  savePortfolioToStorage();
+  activePortfolioId = id;
+  transactions = getActivePortfolio().transactions;
+  resetLedgerForm();
+  renderPortfolioSwitcher();
+  commitLedgerChange();
+}
+
+// `renamingId` is the portfolio being renamed, which may keep its own name.
+function promptPortfolioName(message, initial = "", renamingId = null) {
+  const name = window.prompt(message, initial);
+  if (name === null) return null;
+  const trimmed = name.trim();
+  if (!trimmed) {
+    alert("Portfolio names can't be empty.");
+    return null;
+  }
+  if (portfolios.some((p) => p.name === trimmed && p.id !== renamingId)) {
+    alert(`There is already a portfolio called "${trimmed}".`);
+    return null;
+  }
+  return trimmed;
+}
+
+function addPortfolio(name, txs) {
+  const created = { id: createId(), name, transactions: txs };
+  portfolios.push(created);
+  activatePortfolio(created.id);
+}
+
+function initPortfolioSwitcher() {
+  $("#portfolio-select").addEventListener("change", (e) => {
+    activatePortfolio(e.target.value);
+  });
+
+  $("#portfolio-new").addEventListener("click", () => {
+    const name = promptPortfolioName("Name the new portfolio:");
+    if (name) addPortfolio(name, []);
+  });
+
+  $("#portfolio-rename").addEventListener("click", () => {
+    const current = getActivePortfolio();
+    const name = promptPortfolioName("Rename portfolio:", current.name, current.id);
+    if (!name) return;
+    current.name = name;
+    savePortfolioToStorage();
+    renderPortfolioSwitcher();
+  });
+
+  $("#portfolio-duplicate").addEventListener("click", () => {
+    const current = getActivePortfolio();
+    const name = promptPortfolioName("Name the copy:", `${current.name} (copy)`);
+    if (!name) return;
+    addPortfolio(name, transactions.map((tx) => ({ ...tx, id: createId() })));
+  });
+
+  $("#portfolio-delete").addEventListener("click", () => {
+    if (portfolios.length < 2) return;
+    const current = getActivePortfolio();
+    if (!window.confirm(`Delete "${current.name}" and its whole ledger?`)) return;
+    portfolios = portfolios.filter((p) => p.id !== current.id);
+    activePortfolioId = portfolios[0].id;
+    transactions = getActivePortfolio().transactions;
+    resetLedgerForm();
+    renderPortfolioSwitcher();
+    commitLedgerChange();
+  });
+
+  renderPortfolioSwitcher();
+}
+
+// LEDGER UI
+function renderLedgerTable() {
+  const body = $("#ledger-table tbody");
+  body.innerHTML = "";
+
+  if (!transactions.length) {
+    const row = createEl("tr");
+    const cell = createEl("td", "muted tiny", "No transactions recorded yet.");
+    cell.colSpan = 7;
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  [...sortTransactions(transactions)].reverse().forEach((tx) => {
+    const row = createEl("tr");
+    if (tx.id === editingTransactionId) row.classList.add("is-editing");
+
+    const amount = transactionAmount(tx);
+    // Cash movements carry their own currency; everything else is in the listing's.
+    const currency = tx.symbol ? getSymbolCurrency(tx.symbol) : tx.currency;
+    let sharesText = tx.shares === null ? "—" : tx.shares.toLocaleString();
+    if (tx.type === "split") sharesText = formatSplitRatio(tx.shares);
+    const cells = [
+      tx.date || OPENING_DATE_LABEL,
+      tx.type,
+      tx.symbol || "—",
+      sharesText,
+      tx.price === null ? "—" : formatCurrency(tx.price, currency),
+      amount === null ? "—" : formatCurrency(amount, currency),
+    ];
+    cells.forEach((text, idx) => {
+      const td = createEl("td", idx === 1 ? "ledger-type" : null, text);
+      row.appendChild(td);
+    });
+
+    const actions = createEl("td", "table-actions");
+    const editBtn = createEl("button", "link-btn", "Edit");
+    editBtn.type = "button";
+    editBtn.addEventListener("click", () => startEditingTransaction(tx.id));
+    const deleteBtn = createEl("button", "chip-remove", "×");
+    deleteBtn.type = "button";
+    deleteBtn.setAttribute("aria-label", `Delete ${tx.type} on ${tx.date || "opening"}`);
+    deleteBtn.addEventListener("click", () => {
+      const next = transactions.filter((t) => t.id !== tx.id);
+      if (!checkLedgerChange(next)) return;
+      transactions = next;
+      if (editingTransactionId === tx.id) resetLedgerForm();
+      commitLedgerChange();
+    });
+    actions.append(editBtn, deleteBtn);
+    row.appendChild(actions);
+
+    body.appendChild(row);
+  });
+}
+
+function syncLedgerFieldsToType() {
+  const type = $("#ledger-type").value;
+  document.querySelectorAll("#ledger-form [data-types]").forEach((field) => {
+    field.hidden = !field.dataset.types.split(" ").includes(type);
+  });
+}
+
+function resetLedgerForm() {
+  const form = $("#ledger-form");
+  form.reset();
+  $("#ledger-currency").value = getBaseCurrency();
+  editingTransactionId = null;
+  $("#ledger-submit").textContent = "Add";
+  $("#ledger-cancel").hidden = true;
+  syncLedgerFieldsToType();
+}
+
+function startEditingTransaction(id) {
+  const tx = transactions.find((t) => t.id === id);
+  if (!tx) return;
+
+  editingTransactionId = id;
+  $("#ledger-type").value = tx.type;
+  $("#ledger-date").value = tx.date || "";
+  $("#ledger-symbol").value = tx.symbol || "";
+  $("#ledger-shares").value = tx.type === "split" ? "" : tx.shares ?? "";
+  $("#ledger-ratio").value = tx.type === "split" ? tx.shares : "";
+  $("#ledger-price").value = tx.price ?? "";
+  $("#ledger-amount").value = tx.amount ?? "";
+  $("#ledger-currency").value = tx.currency || getBaseCurrency();
+  $("#ledger-submit").textContent = "Save";
+  $("#ledger-cancel").hidden = false;
+  syncLedgerFieldsToType();
+  renderLedgerTable();
+}
+
+function handleLedgerSubmit(event) {
+  event.preventDefault();
+
+  const type = $("#ledger-type").value;
+  const tx = normalizeTransaction({
+    id: editingTransactionId || undefined,
+    type,
+    date: $("#ledger-date").value,
+    symbol: $("#ledger-symbol").value.trim(),
+    shares: $(type === "split" ? "#ledger-ratio" : "#ledger-shares").value,
+    price: $("#ledger-price").value,
+    amount: $("#ledger-amount").value,
+    currency: $("#ledger-currency").value,
+  });
+
+  if (!tx) {
+    alert("Please fill in the fields for this transaction type with non-negative numbers.");
+    return;
+  }
+
+  // Only buys can be undated: they make up the opening position.
+  if (!tx.date && tx.type !== "buy") {
+    alert("Please enter the date of this transaction.");
+    return;
+  }
+
+  if (tx.symbol && !isValidSymbol(tx.symbol)) {
+    alert("Please enter a ticker symbol like AAPL or APC.DEX.");
+    return;
+  }
+
+  const others = transactions.filter((t) => t.id !== tx.id);
+  if (tx.type === "sell") {
+    const held = sharesHeldOn(others, tx.symbol, tx.date);
+    if (tx.shares > held + 1e-9) {
+      alert(`You only hold ${held.toLocaleString()} shares of ${tx.symbol} on that date.`);
+      return;
+    }
+  }
+
+  const next = editingTransactionId
+    ? transactions.map((t) => (t.id === tx.id ? tx : t))
+    : [...transactions, tx];
+  if (!checkLedgerChange(next)) return;
+  transactions = next;
+
+  resetLedgerForm();
+  commitLedgerChange();
+}
+
+// IMPORT / EXPORT
+const IMPORT_FIELDS = ["date", "type", "symbol", "shares", "price", "amount", "currency"];
+// Undated (opening) transactions are exported with this in the date column.
+const OPENING_DATE_LABEL = "Opening";
+
+// Header names (lower-case) each layout uses for our fields. Holdings rows have
+// no type and become buys; without a type column the sign of the quantity
+// decides between buy and sell.
+const IMPORT_PRESETS = {
+  ledger: {
+    label: "Ledger (this app)",
+    columns: {
+      date: ["date", "trade date"],
+      type: ["type", "action", "transaction type"],
+      symbol: ["symbol", "ticker"],
+      shares: ["shares", "quantity", "qty"],
+      price: ["price", "price per share"],
+      amount: ["amount", "net amount"],
+      currency: ["currency"],
+    },
+  },
+  holdings: {
+    label: "Holdings snapshot",
+    defaultType: "buy",
+    columns: {
+      date: ["purchase date", "acquired", "bought on", "date"],
+      symbol: ["symbol", "ticker"],
+      shares: ["shares", "quantity", "qty"],
+      price: ["average cost", "avg cost", "cost / share", "cost basis per share", "price"],
+    },
+  },
+  fidelity: {
+    label: "Fidelity activity",
+    columns: {
+      date: ["run date", "settlement date"],
+      type: ["action"],
+      symbol: ["symbol"],
+      shares: ["quantity"],
+      price: ["price ($)", "price"],
+      amount: ["amount ($)", "amount"],
+    },
+  },
+  schwab: {
+    label: "Schwab transactions",
+    columns: {
+      date: ["date"],
+      type: ["action"],
+      symbol: ["symbol"],
+      shares: ["quantity"],
+      price: ["price"],
+      amount: ["amount"],
+    },
+  },
+  vanguard: {
+    label: "Vanguard transactions",
+    columns: {
+      date: ["trade date", "settlement date"],
+      type: ["transaction type"],
+      symbol: ["symbol"],
+      shares: ["shares", "quantity"],
+      price: ["share price", "price"],
+      amount: ["net amount", "principal amount"],
+    },
+  },
+  ibkr: {
+    label: "Interactive Brokers trades",
+    columns: {
+      date: ["date/time", "trade date"],
+      symbol: ["symbol"],
+      shares: ["quantity"],
+      price: ["t. price", "price"],
+      amount: ["proceeds"],
+    },
+  },
+};
+
+// { name, rows, headerIndex, mapping } for a CSV file, or { name, candidates }
+// for JSON, while the validation report is on screen.
+let pendingImport = null;
+let importReviewToken = 0;
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map((r) => r.map((c) => c.trim()));
+}
+
+function guessColumnMapping(headers, preset) {
+  const lower = headers.map((h) => h.toLowerCase());
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const names = preset.columns[field] || [];
+    const match = names.map((name) => lower.indexOf(name)).find((idx) => idx !== -1);
+    mapping[field] = match === undefined ? -1 : match;
+  });
+  return mapping;
+}
+
+// Broker exports often start with account banners, so the header is the first
+// row that names a symbol column for the chosen layout.
+function findHeaderRow(rows, preset) {
+  const idx = rows.findIndex((row) => guessColumnMapping(row, preset).symbol !== -1);
+  return idx !== -1 ? idx : rows.findIndex((row) => row.filter(Boolean).length > 1);
+}
+
+// Accepts 2024-01-31, 01/31/2024, 1/31/24 and trailing times or "as of" notes.
+function parseImportDate(text) {
+  const value = String(text || "").trim();
+  if (!value) return null;
+
+  let year;
+  let month;
+  let day;
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (iso) {
+    [, year, month, day] = iso.map(Number);
+  } else if (us) {
+    [, month, day, year] = us.map(Number);
+    if (year < 100) year += 2000;
+  } else {
+    return undefined;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return undefined;
+  return date.toISOString().slice(0, 10);
+}
+
+// "$1,234.50", "-12", "(3.25)" and "--" (empty) all appear in broker files.
+function parseImportNumber(text) {
+  const value = String(text || "").trim();
+  if (!value || value === "--") return null;
+  const negative = /^\(.*\)$/.test(value) || value.startsWith("-");
+  const digits = value.replace(/[^0-9.]/g, "");
+  if (!digits) return null;
+  const number = Number(digits);
+  if (!Number.isFinite(number)) return undefined;
+  return negative ? -number : number;
+}
+
+function inferTransactionType(text, shares) {
+  const action = text.toLowerCase();
+  if (TRANSACTION_TYPES.includes(action)) return action;
+  if (/reinvest|buy|bought|purchase/.test(action)) return "buy";
+  if (/sell|sold|redemption/.test(action)) return "sell";
+  if (/split/.test(action)) return "split";
+  if (/dividend|div\b|distribution/.test(action)) return "dividend";
+  if (/withdraw|transfer out|disbursement/.test(action)) return "withdrawal";
+  if (/deposit|contribution|(funds|transfer) received|transfer in|moneylink/.test(action)) {
+    return "deposit";
+  }
+  if (!action && shares) return shares < 0 ? "sell" : "buy";
+  return null;
+}
+
+// Turns one mapped CSV row into { line, text, tx } or { line, text, problem }.
+function buildImportCandidate(cells, line, mapping, preset) {
+  const get = (field) => (mapping[field] >= 0 ? cells[mapping[field]] || "" : "");
+  const text = cells.filter(Boolean).join(", ");
+  const shares = parseImportNumber(get("shares"));
+  const price = parseImportNumber(get("price"));
+  const amount = parseImportNumber(get("amount"));
+  const type = preset.defaultType || inferTransactionType(get("type"), shares);
+  if (!type) return { line, text, problem: `Unrecognized action "${get("type")}"` };
+
+  const opening = get("date").trim().toLowerCase() === OPENING_DATE_LABEL.toLowerCase();
+  const date = opening ? null : parseImportDate(get("date"));
+  if (date === undefined) return { line, text, problem: `Bad date "${get("date")}"` };
+  if (date === null && !opening && !preset.defaultType) {
+    return { line, text, problem: "Missing date" };
+  }
+  if ([shares, price, amount].includes(undefined)) {
+    return { line, text, problem: "Unreadable number" };
+  }
+
+  const raw = { date, type, symbol: get("symbol").toUpperCase() || null };
+  if (type === "split") {
+    raw.shares = shares;
+  } else if (type === "buy" || type === "sell") {
+    raw.shares = shares === null ? null : Math.abs(shares);
+    raw.price = price !== null ? Math.abs(price) : null;
+    if (raw.price === null && amount !== null && raw.shares) {
+      raw.price = Math.abs(amount) / raw.shares;
+    }
+  } else {
+    raw.amount = amount === null ? null : Math.abs(amount);
+    raw.currency = get("currency").toUpperCase() || getBaseCurrency();
+  }
+
+  const tx = normalizeTransaction(raw);
+  if (!tx) return { line, text, problem: `Incomplete ${type} row` };
+  if (tx.symbol && !isValidSymbol(tx.symbol)) {
+    return { line, text, problem: `Unknown symbol "${tx.symbol}"` };
+  }
+  return { line, text, tx };
+}
+
+function buildCsvCandidates() {
+  const { rows, headerIndex, mapping, preset } = pendingImport;
+  return rows
+    .map((cells, idx) => ({ cells, line: idx + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ cells }) => cells.filter(Boolean).length > 1)
+    .map(({ cells, line }) =>
+      buildImportCandidate(cells, line, mapping, IMPORT_PRESETS[preset])
+    );
+}
+
+// Accepts this app's portfolio export or a bare array of transactions.
+function buildJsonCandidates(data) {
+  const list = Array.isArray(data) ? data : data && data.transactions;
+  if (!Array.isArray(list)) throw new Error("No transactions found in this file.");
+
+  return list.map((raw, idx) => {
+    const line = idx + 1;
+    const text = JSON.stringify(raw);
+    const tx = normalizeTransaction({
+      ...raw,
+      id: null,
+      currency: (raw && raw.currency) || getBaseCurrency(),
+    });
+    if (!tx) return { line, text, problem: "Invalid transaction" };
+    if (tx.date && parseImportDate(tx.date) !== tx.date) {
+      return { line, text, problem: `Bad date "${tx.date}"` };
+    }
+    return { line, text, tx };
+  });
+}
+
+function transactionKey(tx) {
+  return [tx.date, tx.type, tx.symbol, tx.shares, tx.price, tx.amount, tx.currency]
+    .join("|");
+}
+
+// Looks up tickers the ledger hasn't seen before; each costs one search call.
+async function findUnknownSymbols(txs) {
+  const known = new Set(getLedgerSymbols());
+  const symbols = [...new Set(txs.map((tx) => tx.symbol).filter(Boolean))].filter(
+    (symbol) => !known.has(symbol)
+  );
+  const unknown = new Set();
+  let unchecked = 0;
+  for (const symbol of symbols) {
+    try {
+      const matches = await searchSymbols(symbol);
+      if (!matches.some((m) => m.symbol.toUpperCase() === symbol)) unknown.add(symbol);
+    } catch (e) {
+      console.warn(`Unable to look up ${symbol}`, e);
+      unchecked += 1;
+    }
+  }
+  return { unknown, unchecked };
+}
+
+async function reviewImport() {
+  const token = ++importReviewToken;
+  const summary = $("#import-summary");
+  const candidates = pendingImport.candidates || buildCsvCandidates();
+  const skipDuplicates = $("#import-skip-duplicates").checked;
+  const existing = new Set(
+    $("#import-target").value === "current" ? transactions.map(transactionKey) : []
+  );
+
+  const issues = candidates.filter((c) => c.problem);
+  let ready = [];
+  const seen = new Set();
+  candidates
+    .filter((c) => c.tx)
+    .forEach((c) => {
+      const key = transactionKey(c.tx);
+      if (existing.has(key) || seen.has(key)) {
+        const where = existing.has(key) ? "already in this portfolio" : "repeated in file";
+        const outcome = skipDuplicates ? ", skipped" : "";
+        issues.push({ ...c, problem: `Duplicate (${where})${outcome}` });
+        if (skipDuplicates) return;
+      }
+      seen.add(key);
+      ready.push(c);
+    });
+
+  let note = "";
+  if ($("#import-verify-symbols").checked && ready.length) {
+    summary.textContent = "Looking up tickers…";
+    const { unknown, unchecked } = await findUnknownSymbols(ready.map((c) => c.tx));
+    if (token !== importReviewToken) return;
+    ready = ready.filter((c) => {
+      if (!unknown.has(c.tx.symbol)) return true;
+      issues.push({ ...c, problem: `Unknown symbol "${c.tx.symbol}"` });
+      return false;
+    });
+    if (unchecked) note = ` ${unchecked} ticker(s) could not be checked.`;
+  }
+
+  pendingImport.ready = ready.map((c) => c.tx);
+  renderImportIssues(issues.sort((a, b) => a.line - b.line));
+  summary.textContent =
+    `${ready.length} transaction(s) ready to import, ${issues.length} issue(s).` + note;
+  $("#import-commit").disabled = !ready.length;
+}
+
+function renderImportIssues(issues) {
+  const body = $("#import-issues tbody");
+  body.innerHTML = "";
+  $("#import-issues").hidden = !issues.length;
+  issues.forEach((issue) => {
+    const tr = document.createElement("tr");
+    tr.append(
+      createEl("td", null, String(issue.line)),
+      createEl("td", null, issue.problem),
+      createEl("td", "muted tiny", issue.text)
+    );
+    body.appendChild(tr);
+  });
+}
+
+function renderImportMapping() {
+  const container = $("#import-mapping");
+  container.innerHTML = "";
+  $("#import-mapping-group").hidden = !pendingImport.rows;
+  if (!pendingImport.rows) return;
+
+  const headers = pendingImport.rows[pendingImport.headerIndex] || [];
+  IMPORT_FIELDS.forEach((field) => {
+    const wrapper = createEl("div", "form-field form-field--narrow");
+    const label = createEl("label", null, field[0].toUpperCase() + field.slice(1));
+    const select = document.createElement("select");
+    label.htmlFor = select.id = `import-map-${field}`;
+
+    const none = createEl("option", null, "—");
+    none.value = "-1";
+    select.appendChild(none);
+    headers.forEach((header, idx) => {
+      const option = createEl("option", null, header || `Column ${idx + 1}`);
+      option.value = String(idx);
+      select.appendChild(option);
+    });
+    select.value = String(pendingImport.mapping[field]);
+    select.addEventListener("change", () => {
+      pendingImport.mapping[field] = Number(select.value);
+      reviewImport();
+    });
+
+    wrapper.append(label, select);
+    container.appendChild(wrapper);
+  });
+}
+
+async function handleImportRead(e) {
+  e.preventDefault();
+  const file = $("#import-file").files[0];
+  if (!file) return;
+
+  const text = await file.text();
+  const name = file.name.replace(/\.[^.]+$/, "");
+  const preset = $("#import-preset").value;
+  try {
+    if (/\.json$/i.test(file.name) || /^\s*[[{]/.test(text)) {
+      pendingImport = { name, candidates: buildJsonCandidates(JSON.parse(text)) };
+    } else {
+      const rows = parseCsv(text);
+      const headerIndex = findHeaderRow(rows, IMPORT_PRESETS[preset]);
+      if (headerIndex === -1) throw new Error("This file has no rows to import.");
+      const mapping = guessColumnMapping(rows[headerIndex], IMPORT_PRESETS[preset]);
+      pendingImport = { name, rows, headerIndex, mapping, preset };
+    }
+  } catch (err) {
+    alert(`Unable to read ${file.name}: ${err.message}`);
+    return;
+  }
+
+  $("#import-review").hidden = false;
+  renderImportMapping();
+  reviewImport();
+}
+
+function closeImportReview() {
+  pendingImport = null;
+  importReviewToken += 1;
+  $("#import-review").hidden = true;
+  $("#import-form").reset();
+}
+
+function commitImport() {
+  if (!pendingImport || !pendingImport.ready || !pendingImport.ready.length) return;
+  const imported = pendingImport.ready;
+
+  if ($("#import-target").value === "new") {
+    const name = promptPortfolioName("Name the imported portfolio:", pendingImport.name);
+    if (!name) return;
+    addPortfolio(name, imported);
+  } else {
+    transactions = transactions.concat(imported);
+    commitLedgerChange();
+  }
+  closeImportReview();
+  $("#import-status").textContent = `Imported ${imported.length} transaction(s).`;
+}
+
+function toCsv(rows) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = createEl("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Column names match the import presets so exports round-trip.
+function exportPortfolio(kind) {
+  const active = getActivePortfolio();
+  const stem = active.name.replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "") || "portfolio";
+
+  if (kind === "ledger-csv") {
+    const rows = sortTransactions(transactions).map((tx) => [
+      tx.date || OPENING_DATE_LABEL,
+      tx.type,
+      tx.symbol,
+      tx.shares,
+      tx.price,
+      tx.amount,
+      tx.currency,
+    ]);
+    downloadFile(`${stem}-ledger.csv`, "text/csv", toCsv([IMPORT_FIELDS, ...rows]));
+  } else if (kind === "holdings-csv") {
+    const rows = portfolio.map((lot) => [
+      lot.symbol,
+      lot.shares,
+      lot.costBasis,
+      lot.purchaseDate,
+    ]);
+    const header = ["symbol", "shares", "average cost", "purchase date"];
+    downloadFile(`${stem}-holdings.csv`, "text/csv", toCsv([header, ...rows]));
+  } else if (kind === "performance-csv") {
+    if (!portfolioHistory) {
+      alert("Load the performance chart with at least one transaction first.");
+      return;
+    }
+    const index = buildLedgerIndex(portfolioHistory.rows);
+    const rows = portfolioHistory.rows.map((row, idx) => [
+      row.date,
+      row.value.toFixed(2),
+      row.cash.toFixed(2),
+      row.flow.toFixed(2),
+      index[idx] === null ? null : index[idx].toFixed(4),
+    ]);
+    const header = ["date", "value", "cash", "external flow", "index"];
+    downloadFile(`${stem}-performance.csv`, "text/csv", toCsv([header, ...rows]));
+  } else if (kind === "portfolio-json") {
+    const payload = {
+      name: active.name,
+      exportedAt: new Date().toISOString(),
+      transactions: sortTransactions(transactions),
+      holdings: portfolio,
+    };
+    downloadFile(`${stem}.json`, "application/json", JSON.stringify(payload, null, 2));
+  }
+}
+
+function initImportExport() {
+  const presetSelect = $("#import-preset");
+  Object.entries(IMPORT_PRESETS).forEach(([id, preset]) => {
+    const option = createEl("option", null, preset.label);
+    option.value = id;
+    presetSelect.appendChild(option);
+  });
+
+  $("#import-form").addEventListener("submit", handleImportRead);
+  $("#import-commit").addEventListener("click", commitImport);
+  $("#import-cancel").addEventListener("click", closeImportReview);
+  ["#import-skip-duplicates", "#import-verify-symbols", "#import-target"].forEach((sel) => {
+    $(sel).addEventListener("change", () => {
+      if (pendingImport) reviewImport();
+    });
+  });
+  document.querySelectorAll("[data-export]").forEach((btn) => {
+    btn.addEventListener("click", () => exportPortfolio(btn.dataset.export));
+  });
+}
+
+// MARKET DATA: NORMALIZED MODEL
+// Providers return these shapes so the rest of the app never sees vendor
+// field names:
+//   daily series  [{ date, open, high, low, close, rawClose, volume, dividend,
+//                 splitCoefficient }] oldest first; `close` is adjusted when
+//                 adjusted data was requested. `dividend` is the cash paid per
+//                 share on its ex-date and `splitCoefficient` is the split ratio
+//                 on a split date; unadjusted data reports 0 and 1.
+//   quote         { symbol, price, open, high, low, volume, previousClose,
+//                   change, changePercent, latestTradingDay }
+//   overview      { symbol, name, description, exchange, currency, country,
+//                   sector, industry, marketCap, peRatio, eps, beta,
+//                   dividendYield, profitMargin, operatingMargin,
+//                   week52High, week52Low }
+//   statements    { annual: [row], quarterly: [row] } newest first, each row
+//                 { fiscalDateEnding, ...STATEMENT_FIELDS[kind] keys }
+//   earnings      { annual: [{ fiscalDateEnding, reportedEPS }],
+//                   quarterly: [{ fiscalDateEnding, reportedDate, reportedEPS,
+//                   estimatedEPS, surprise, surprisePercent }] }
+//   fx series     [{ date, rate }] oldest first; `rate` is units of the quote
+//                 currency per unit of the base one
+//   search match  { symbol, name, type, region, currency, matchScore }
+//   article       { title, url, summary, source, publishedAt, sentimentScore,
+//                   sentimentLabel, topics: [{ topic, relevance }],
+//                   tickerSentiment: [{ ticker, relevance, score, label }] }
+function parseNumber(value) {
+  if (value === null || value === undefined) return null;
+  const num = parseFloat(String(value).replace("%", ""));
+  return Number.isNaN(num) ? null : num;
+}
+
+// ALPHA VANTAGE ADAPTER
+// With `adjusted`, `close` is the split- and dividend-adjusted close and the
+// traded price is kept as `rawClose`.
+function parseAlphaVantageDaily(data, symbol, { adjusted = false } = {}) {
+  const seriesKey = Object.keys(data).find((k) =>
+    k.toLowerCase().includes("time series (daily")
+  );
+
+  if (!seriesKey) {
+    console.error("No daily series in response for", symbol, data);
+    throw new Error(`Unexpected daily series response for ${symbol}`);
+  }
+
+  const seriesObj = data[seriesKey];
+  const rows = Object.entries(seriesObj).map(([date, values]) => {
+    const rawClose = parseFloat(values["4. close"] || "0");
+    const adjustedClose = parseNumber(values["5. adjusted close"]);
+    // Open/high/low are scaled by the same factor as the close so candles
+    // line up with the adjusted line.
+    const factor =
+      adjusted && adjustedClose !== null && rawClose ? adjustedClose / rawClose : 1;
+    const scaled = (key) => {
+      const value = parseNumber(values[key]);
+      return value === null ? null : value * factor;
+    };
+    return {
+      date,
+      open: scaled("1. open"),
+      high: scaled("2. high"),
+      low: scaled("3. low"),
+      close: rawClose * factor,
+      rawClose,
+      volume: parseNumber(values["5. volume"] ?? values["6. volume"]),
+      dividend: parseNumber(values["7. dividend amount"]) || 0,
+      splitCoefficient: parseNumber(values["8. split coefficient"]) || 1,
+    };
+  });
+
+  return rows
+    .filter((row) => !Number.isNaN(row.close))
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+function parseAlphaVantageFx(data, from, to) {
+  const series = data["Time Series FX (Daily)"];
+  if (!series) {
+    console.error("No FX series in response for", from, to, data);
+    throw new Error(`Unexpected FX response for ${from}/${to}`);
+  }
+  return Object.entries(series)
+    .map(([date, values]) => ({ date, rate: parseNumber(values["4. close"]) }))
+    .filter((row) => row.rate !== null)
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+function parseAlphaVantageQuote(data) {
+  const quote = data["Global Quote"] || {};
+  const changePercent = parseNumber(quote["10. change percent"]);
+  return {
+    symbol: quote["01. symbol"] || null,
+    open: parseNumber(quote["02. open"]),
+    high: parseNumber(quote["03. high"]),
+    low: parseNumber(quote["04. low"]),
+    price: parseNumber(quote["05. price"] || quote["05. Price"]),
+    volume: parseNumber(quote["06. volume"]),
+    latestTradingDay: quote["07. latest trading day"] || null,
+    previousClose: parseNumber(quote["08. previous close"]),
+    change: parseNumber(quote["09. change"]),
+    changePercent: changePercent === null ? null : changePercent / 100,
+  };
+}
+
+function parseAlphaVantageOverview(data) {
+  return {
+    symbol: data.Symbol || null,
+    name: data.Name || null,
+    description: data.Description || null,
+    exchange: data.Exchange || null,
+    currency: data.Currency || null,
+    country: data.Country || null,
+    sector: data.Sector || null,
+    industry: data.Industry || null,
+    marketCap: parseNumber(data.MarketCapitalization),
+    peRatio: parseNumber(data.PERatio),
+    eps: parseNumber(data.EPS),
+    beta: parseNumber(data.Beta),
+    dividendYield: parseNumber(data.DividendYield),
+    profitMargin: parseNumber(data.ProfitMargin),
+    operatingMargin: parseNumber(data.OperatingMarginTTM),
+    week52High: parseNumber(data["52WeekHigh"]),
+    week52Low: parseNumber(data["52WeekLow"]),
+  };
+}
+
+// Alpha Vantage function and field names behind each statement kind.
+const STATEMENT_FUNCTIONS = {
+  income: "INCOME_STATEMENT",
+  balance: "BALANCE_SHEET",
+  cashFlow: "CASH_FLOW",
+};
+const STATEMENT_FIELDS = {
+  income: {
+    revenue: "totalRevenue",
+    grossProfit: "grossProfit",
+    operatingIncome: "operatingIncome",
+    netIncome: "netIncome",
+    ebitda: "ebitda",
+  },
+  balance: {
+    totalAssets: "totalAssets",
+    totalLiabilities: "totalLiabilities",
+    totalEquity: "totalShareholderEquity",
+    cash: "cashAndCashEquivalentsAtCarryingValue",
+    totalDebt: "shortLongTermDebtTotal",
+    currentAssets: "totalCurrentAssets",
+    currentLiabilities: "totalCurrentLiabilities",
+  },
+  cashFlow: {
+    operatingCashflow: "operatingCashflow",
+    capitalExpenditures: "capitalExpenditures",
+    dividendsPaid: "dividendPayout",
+    buybacks: "paymentsForRepurchaseOfCommonStock",
+  },
+};
+
+// Unreported figures come through as "None", which parseNumber turns into null.
+function parseAlphaVantageStatement(data, kind) {
+  const parseReport = (report) => {
+    const row = { fiscalDateEnding: report.fiscalDateEnding };
+    Object.entries(STATEMENT_FIELDS[kind]).forEach(([key, field]) => {
+      row[key] = parseNumber(report[field]);
+    });
+    return row;
+  };
+  return {
+    annual: (data.annualReports || []).map(parseReport),
+    quarterly: (data.quarterlyReports || []).map(parseReport),
+  };
+}
+
+function parseAlphaVantageEarnings(data) {
+  return {
+    annual: (data.annualEarnings || []).map((row) => ({
+      fiscalDateEnding: row.fiscalDateEnding,
+      reportedEPS: parseNumber(row.reportedEPS),
+    })),
+    quarterly: (data.quarterlyEarnings || []).map((row) => {
+      const surprisePercent = parseNumber(row.surprisePercentage);
+      return {
+        fiscalDateEnding: row.fiscalDateEnding,
+        reportedDate: row.reportedDate || null,
+        reportedEPS: parseNumber(row.reportedEPS),
+        estimatedEPS: parseNumber(row.estimatedEPS),
+        surprise: parseNumber(row.surprise),
+        surprisePercent: surprisePercent === null ? null : surprisePercent / 100,
+      };
+    }),
+  };
+}
+
+function parseAlphaVantageMatches(data) {
+  return (data["bestMatches"] || []).map((match) => ({
+    symbol: match["1. symbol"],
+    name: match["2. name"],
+    type: match["3. type"],
+    region: match["4. region"],
+    currency: match["8. currency"],
+    matchScore: parseNumber(match["9. matchScore"]),
+  }));
+}
+
+// "20240131T154500" -> "2024-01-31T15:45"
+function parseAlphaVantageTimestamp(ts) {
+  if (!ts) return "";
+  const date = `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
+  return `${date}T${ts.slice(9, 11)}:${ts.slice(11, 13)}`;
+}
+
+function parseAlphaVantageArticle(item) {
+  return {
+    title: item.title || "Untitled story",
+    url: item.url || null,
+    summary: item.summary || "",
+    source: item.source || item.source_domain || "Unknown source",
+    publishedAt: parseAlphaVantageTimestamp(item.time_published),
+    sentimentScore: parseNumber(item.overall_sentiment_score),
+    sentimentLabel: item.overall_sentiment_label || "Neutral",
+    topics: (item.topics || []).map((t) => ({
+      topic: t.topic,
+      relevance: parseNumber(t.relevance_score),
+    })),
+    tickerSentiment: (item.ticker_sentiment || []).map((t) => ({
+      ticker: t.ticker,
+      relevance: parseNumber(t.relevance_score),
+      score: parseNumber(t.ticker_sentiment_score),
+      label: t.ticker_sentiment_label,
+    })),
+  };
+}
+
+function getApiKey() {
+  return (localStorage.getItem(API_KEY_STORAGE_KEY) || "").trim();
+}
+
+async function alphaVantageRequest(params) {
+  const apiKey = getApiKey();
+  if (!apiKey) {
+    throw apiError("No Alpha Vantage API key set", { missingKey: true });
+  }
+  const query = new URLSearchParams({ ...params, apikey: apiKey });
+  return fetchJson(`${ALPHA_VANTAGE_BASE}?${query.toString()}`);
+}
+
+const alphaVantageProvider = {
+  id: "alphavantage",
+  label: "Alpha Vantage",
+  usesApiBudget: true,
+
+  async getDailySeries(symbol, { full = false, adjusted = false } = {}) {
+    const data = await alphaVantageRequest({
+      function: adjusted ? "TIME_SERIES_DAILY_ADJUSTED" : "TIME_SERIES_DAILY",
+      symbol,
+      outputsize: full ? "full" : "compact",
+    });
+    return parseAlphaVantageDaily(data, symbol, { adjusted });
+  },
+
+  async getQuote(symbol) {
+    const data = await alphaVantageRequest({ function: "GLOBAL_QUOTE", symbol });
+    return parseAlphaVantageQuote(data);
+  },
+
+  async getOverview(symbol) {
+    const data = await alphaVantageRequest({ function: "OVERVIEW", symbol });
+    return parseAlphaVantageOverview(data);
+  },
+
+  async getFxSeries(from, to, { full = false } = {}) {
+    const data = await alphaVantageRequest({
+      function: "FX_DAILY",
+      from_symbol: from,
+      to_symbol: to,
+      outputsize: full ? "full" : "compact",
+    });
+    return parseAlphaVantageFx(data, from, to);
+  },
+
+  async getStatement(symbol, kind) {
+    const data = await alphaVantageRequest({ function: STATEMENT_FUNCTIONS[kind], symbol });
+    return parseAlphaVantageStatement(data, kind);
+  },
+
+  async getEarnings(symbol) {
+    const data = await alphaVantageRequest({ function: "EARNINGS", symbol });
+    return parseAlphaVantageEarnings(data);
+  },
+
+  async searchSymbols(query) {
+    const data = await alphaVantageRequest({ function: "SYMBOL_SEARCH", keywords: query });
+    return parseAlphaVantageMatches(data);
+  },
+
+  async getNews({ tickers, topics, limit }) {
+    const params = { function: "NEWS_SENTIMENT", sort: "LATEST", limit: String(limit) };
+    if (tickers && tickers.length) params.tickers = tickers.join(",");
+    if (topics && topics.length) params.topics = topics.join(",");
+    const data = await alphaVantageRequest(params);
+    return (data.feed || []).map(parseAlphaVantageArticle);
+  },
+};
+
+// FIXTURE PROVIDER
+// Serves sample responses, stored in Alpha Vantage's own format under
+// fixtures/, through the same parsers. Nothing touches the network or the API
+// budget, so the app can be developed and demoed offline.
+const FIXTURES_BASE = "fixtures";
+const fixtureCache = new Map();
+
+async function loadFixture(name) {
+  if (!fixtureCache.has(name)) {
+    const request = fetch(`${FIXTURES_BASE}/${name}.json`).then((res) => {
+      if (!res.ok) throw new Error(`No fixture recorded for ${name}`);
+      return res.json();
+    });
+    fixtureCache.set(name, request);
+    request.catch(() => fixtureCache.delete(name));
+  }
+  return fixtureCache.get(name);
+}
+
+const fixtureProvider = {
+  id: "fixtures",
+  label: "Offline fixtures",
+  usesApiBudget: false,
+
+  // The adjusted fixtures are full-size recordings; compact requests get the
+  // last 100 rows, just like the live API.
+  async getDailySeries(symbol, { full = false, adjusted = false } = {}) {
+    const name = symbol.toUpperCase();
+    const data =
+      full || adjusted
+        ? await loadFixture(`TIME_SERIES_DAILY_ADJUSTED_${name}`).catch(() =>
+            loadFixture(`TIME_SERIES_DAILY_${name}`)
+          )
+        : await loadFixture(`TIME_SERIES_DAILY_${name}`);
+    const series = parseAlphaVantageDaily(data, symbol, { adjusted });
+    return full ? series : series.slice(-COMPACT_SERIES_LENGTH);
+  },
+
+  // Quotes are derived from the last two daily bars rather than recorded.
+  async getQuote(symbol) {
+    const series = await fixtureProvider.getDailySeries(symbol);
+    const last = series[series.length - 1];
+    const prev = series[series.length - 2] || last;
+    return {
+      symbol: symbol.toUpperCase(),
+      price: last.close,
+      open: null,
+      high: null,
+      low: null,
+      volume: null,
+      previousClose: prev.close,
+      change: last.close - prev.close,
+      changePercent: last.close / prev.close - 1,
+      latestTradingDay: last.date,
+    };
+  },
+
+  // Alpha Vantage answers `{}` for symbols without an overview (ETFs, for
+  // example), so a missing fixture is treated the same way.
+  async getOverview(symbol) {
+    const data = await loadFixture(`OVERVIEW_${symbol.toUpperCase()}`).catch(() => ({}));
+    return parseAlphaVantageOverview(data);
+  },
+
+  async getFxSeries(from, to, { full = false } = {}) {
+    const data = await loadFixture(`FX_DAILY_${from}_${to}`);
+    const series = parseAlphaVantageFx(data, from, to);
+    return full ? series : series.slice(-COMPACT_SERIES_LENGTH);
+  },
+
+  async getStatement(symbol, kind) {
+    const name = `${STATEMENT_FUNCTIONS[kind]}_${symbol.toUpperCase()}`;
+    const data = await loadFixture(name).catch(() => ({}));
+    return parseAlphaVantageStatement(data, kind);
+  },
+
+  async getEarnings(symbol) {
+    const data = await loadFixture(`EARNINGS_${symbol.toUpperCase()}`).catch(() => ({}));
+    return parseAlphaVantageEarnings(data);
+  },
+
+  async searchSymbols(query) {
+    const needle = query.trim().toLowerCase();
+    const data = await loadFixture("SYMBOL_SEARCH");
+    return parseAlphaVantageMatches(data).filter(
+      (m) =>
+        m.symbol.toLowerCase().startsWith(needle) || m.name.toLowerCase().includes(needle)
+    );
+  },
+
+  async getNews({ tickers, topics, limit }) {
+    const data = await loadFixture("NEWS_SENTIMENT");
+    // "economy_macro" should match the feed's "Economy - Macro".
+    const squash = (text) => text.toLowerCase().replace(/[^a-z]/g, "");
+    const wantedTopics = (topics || []).map(squash);
+    return (data.feed || [])
+      .map(parseAlphaVantageArticle)
+      .filter(
+        (a) =>
+          !tickers ||
+          !tickers.length ||
+          tickers.every((t) => a.tickerSentiment.some((ts) => ts.ticker === t))
+      )
+      .filter(
+        (a) =>
+          !wantedTopics.length ||
+          a.topics.some((t) => wantedTopics.includes(squash(t.topic)))
+      )
+      .slice(0, limit);
+  },
+};
+
+// MARKET DATA: PROVIDER SELECTION
+const MARKET_DATA_PROVIDERS = {
+  [alphaVantageProvider.id]: alphaVantageProvider,
+  [fixtureProvider.id]: fixtureProvider,
+};
+const PROVIDER_STORAGE_KEY = "marketDataProvider";
+
+// `?provider=fixtures` in the page URL wins over the stored choice.
+function getMarketDataProvider() {
+  const fromUrl = new URLSearchParams(window.location.search).get("provider");
+  const id = fromUrl || localStorage.getItem(PROVIDER_STORAGE_KEY);
+  return MARKET_DATA_PROVIDERS[id] || alphaVantageProvider;
+}
+
+function hasMarketDataAccess() {
+  return getMarketDataProvider() !== alphaVantageProvider || Boolean(getApiKey());
+}
+
+function getPriceHistoryOptions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICE_HISTORY_STORAGE_KEY) || "{}");
+    return { full: Boolean(stored.full), adjusted: Boolean(stored.adjusted) };
+  } catch (e) {
+    return { full: false, adjusted: false };
+  }
+}
+
+async function fetchDailySeries(symbol) {
+  return getMarketDataProvider().getDailySeries(symbol, getPriceHistoryOptions());
+}
+
+// Dividends and splits only come with the adjusted series. With adjusted
+// history switched on this is the charts' own (cached) response; otherwise it
+// costs one adjusted call at the user's history length.
+async function fetchCorporateActions(symbol) {
+  const { full } = getPriceHistoryOptions();
+  const series = await getMarketDataProvider().getDailySeries(symbol, {
+    full,
+    adjusted: true,
+  });
+  return {
+    series,
+    dividends: series
+      .filter((row) => row.dividend > 0)
+      .map((row) => ({ exDate: row.date, amount: row.dividend })),
+    splits: series
+      .filter((row) => row.splitCoefficient !== 1)
+      .map((row) => ({ date: row.date, ratio: row.splitCoefficient })),
+  };
+}
+
+// Ledgers usually reach back further than the compact window, and one full
+// response covers every date, so rates are always fetched in full.
+async function fetchFxSeries(from, to) {
+  return getMarketDataProvider().getFxSeries(from, to, { full: true });
+}
+
+async function fetchGlobalQuote(symbol) {
+  return getMarketDataProvider().getQuote(symbol);
+}
+
+async function fetchOverview(symbol) {
+  return getMarketDataProvider().getOverview(symbol);
+}
+
+async function fetchStatement(symbol, kind) {
+  return getMarketDataProvider().getStatement(symbol, kind);
+}
+
+async function fetchEarnings(symbol) {
+  return getMarketDataProvider().getEarnings(symbol);
+}
+
+async function searchSymbols(query) {
+  return getMarketDataProvider().searchSymbols(query);
+}
+
+async function fetchNews({ tickers, topics, limit = 20 }) {
+  return getMarketDataProvider().getNews({ tickers, topics, limit });
+}
+
+// CURRENCIES
+// Listings are priced in their own currency and converted to the base currency
+// with daily FX closes. Some exchanges quote in minor units (pence on the LSE),
+// which are scaled to their major currency before looking up a rate.
+const MINOR_CURRENCY_UNITS = {
+  GBX: { currency: "GBP", factor: 0.01 },
+  GBp: { currency: "GBP", factor: 0.01 },
+  ZAC: { currency: "ZAR", factor: 0.01 },
+  ILA: { currency: "ILS", factor: 0.01 },
+};
+
+function getBaseCurrency() {
+  const stored = localStorage.getItem(BASE_CURRENCY_STORAGE_KEY);
+  return BASE_CURRENCIES.includes(stored) ? stored : DEFAULT_BASE_CURRENCY;
+}
+
+function loadSymbolCurrencies() {
+  try {
+    return JSON.parse(localStorage.getItem(SYMBOL_CURRENCIES_STORAGE_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("Unable to read listing currencies", e);
+    return {};
+  }
+}
+
+function getSymbolCurrency(symbol) {
+  return loadSymbolCurrencies()[symbol] || DEFAULT_BASE_CURRENCY;
+}
+
+function rememberSymbolCurrency(symbol, currency) {
+  if (!symbol || !currency) return;
+  const known = loadSymbolCurrencies();
+  if (known[symbol] === currency) return;
+  known[symbol] = currency;
+  localStorage.setItem(SYMBOL_CURRENCIES_STORAGE_KEY, JSON.stringify(known));
+}
+
+// Map of symbol -> currency. Listings not seen in a search yet cost one
+// overview call; those without an overview (most ETFs) are taken to be USD.
+async function resolveSymbolCurrencies(symbols) {
+  const known = loadSymbolCurrencies();
+  const currencies = new Map();
+  await Promise.all(
+    symbols.map(async (symbol) => {
+      if (!known[symbol]) {
+        const overview = await fetchOverview(symbol).catch((e) => {
+          console.warn(`Unable to look up the currency of ${symbol}`, e);
+          return null;
+        });
+        if (overview) rememberSymbolCurrency(symbol, overview.currency || "USD");
+      }
+      currencies.set(symbol, getSymbolCurrency(symbol));
+    })
+  );
+  return currencies;
+}
+
+// Returns rateOn(date), the base-currency value of one unit of `currency` on
+// that date, with `rateOn.latest` for the most recent rate. Dates without a
+// fixing use the one before them; dates before the series use its first.
+async function loadFxConverter(currency, base = getBaseCurrency()) {
+  const minor = MINOR_CURRENCY_UNITS[currency];
+  const major = minor ? minor.currency : currency;
+  const factor = minor ? minor.factor : 1;
+  if (major === base) return Object.assign(() => factor, { latest: factor });
+
+  const series = await fetchFxSeries(major, base);
+  if (!series.length) throw new Error(`No ${major}/${base} exchange rates available`);
+  const rateOn = (date) => {
+    let low = 0;
+    let high = series.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (series[mid].date <= date) low = mid;
+      else high = mid - 1;
+    }
+    return series[low].rate * factor;
+  };
+  rateOn.latest = series[series.length - 1].rate * factor;
+  return rateOn;
+}
+
+// One converter per distinct currency among the values of `currencies`, plus
+// those of any deposits and withdrawals in `txs`.
+async function loadFxConverters(currencies, txs = []) {
+  const cash = txs.filter((tx) => tx.currency).map((tx) => tx.currency);
+  const distinct = [...new Set([...currencies.values(), ...cash])];
+  const converters = await Promise.all(distinct.map((c) => loadFxConverter(c)));
+  return new Map(distinct.map((currency, idx) => [currency, converters[idx]]));
+}
+
+// Restates every amount in the base currency at each transaction's date.
+// `converters` must cover the deposits' and withdrawals' currencies too.
+function convertTransactions(txs, currencies, converters) {
+  return txs.map((tx) => {
+    if (tx.currency) {
+      return { ...tx, amount: tx.amount * converters.get(tx.currency)(tx.date || "") };
+    }
+    if (!tx.symbol || tx.type === "split") return tx;
+    const rate = converters.get(currencies.get(tx.symbol))(tx.date || "");
+    if (tx.type === "dividend") return { ...tx, amount: tx.amount * rate };
+    return tx.price === null ? tx : { ...tx, price: tx.price * rate };
+  });
+}
+
+// PERFORMANCE CALCULATIONS
+function sliceSeriesByDate(series, startDate, endDate) {
+  return series.filter((row) => row.date >= startDate && row.date <= endDate);
+}
+
+function normalizeSeries(series) {
+  if (!series.length) return [];
+  const base = series[0].close;
+  return series.map((row) => ({
+    date: row.date,
+    value: (row.close / base) * 100,
+  }));
+}
+
+function pricesAsOf(priceMaps, date) {
+  const prices = new Map();
+  priceMaps.forEach((map, symbol) => {
+    let latest = null;
+    map.forEach((close, d) => {
+      if (d <= date && (latest === null || d > latest)) latest = d;
+    });
+    if (latest !== null) prices.set(symbol, map.get(latest));
+  });
+  return prices;
+}
+
+// Per-holding P&L at `endDate` prices. Realized gains and dividends only count
+// when they fall inside [startDate, endDate]; values are null when a lot has no
+// cost basis.
+function computeHoldingPnl(txs, prices, startDate, endDate) {
+  const inScope = txs.filter((tx) => (tx.date || "") <= endDate);
+  const { lots, realized } = runFifo(inScope);
+  const bySymbol = new Map();
+  const entry = (symbol) => {
+    if (!bySymbol.has(symbol)) {
+      bySymbol.set(symbol, {
+        symbol,
+        shares: 0,
+        costBasis: 0,
+        marketValue: 0,
+        unrealized: 0,
+        realized: 0,
+        dividends: 0,
+      });
+    }
+    return bySymbol.get(symbol);
+  };
+
+  lots.forEach((lot) => {
+    const row = entry(lot.symbol);
+    const price = prices.get(lot.symbol);
+    row.shares += lot.shares;
+    row.marketValue =
+      price === undefined || row.marketValue === null
+        ? null
+        : row.marketValue + lot.shares * price;
+    row.costBasis =
+      lot.costBasis === null || row.costBasis === null
+        ? null
+        : row.costBasis + lot.shares * lot.costBasis;
+  });
+
+  realized
+    .filter((r) => (r.date || "") >= startDate)
+    .forEach((r) => {
+      const row = entry(r.symbol);
+      row.realized =
+        r.gain === null || row.realized === null ? null : row.realized + r.gain;
+    });
+
+  inScope
+    .filter((tx) => tx.type === "dividend" && (tx.date || "") >= startDate)
+    .forEach((tx) => {
+      entry(tx.symbol).dividends += tx.amount;
+    });
+
+  return [...bySymbol.values()]
+    .map((row) => ({
+      ...row,
+      unrealized:
+        row.marketValue === null || row.costBasis === null
+          ? null
+          : row.marketValue - row.costBasis,
+    }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+// Geometric link of daily returns net of external flows, over ledger replay rows.
+function computeTimeWeightedReturn(rows) {
+  let growth = null;
+  let prevValue = 0;
+  rows.forEach((row) => {
+    if (growth === null) {
+      if (row.value > 0) growth = 1;
+    } else if (prevValue > 0) {
+      growth *= (row.value - row.flow) / prevValue;
+    }
+    prevValue = row.value;
+  });
+  return growth === null ? null : growth - 1;
+}
+
+function daysBetween(startDate, endDate) {
+  return (Date.parse(endDate) - Date.parse(startDate)) / 86400000;
+}
+
+// Annualized internal rate of return for dated cash flows (XIRR), solved by
+// bisection. Returns null when the flows never change sign.
+function computeIrr(cashflows) {
+  if (cashflows.length < 2) return null;
+  const first = cashflows[0].date;
+  const npv = (rate) =>
+    cashflows.reduce(
+      (sum, cf) => sum + cf.amount / Math.pow(1 + rate, daysBetween(first, cf.date) / 365),
+      0
+    );
+
+  let low = -0.9999;
+  let high = 1;
+  let npvLow = npv(low);
+  // Short windows annualize to very large rates, so widen the bracket as needed.
+  while (high < 1e12 && Math.sign(npvLow) === Math.sign(npv(high))) high *= 10;
+  if (!Number.isFinite(npvLow) || Math.sign(npvLow) === Math.sign(npv(high))) {
+    return null;
+  }
+
+  for (let i = 0; i < 200; i += 1) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-9) return mid;
+    if (Math.sign(npvMid) === Math.sign(npvLow)) {
+      low = mid;
+      npvLow = npvMid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Treats the opening value as the first investment and the closing value as
+// the final withdrawal, with every external flow in between.
+function computeMoneyWeightedReturn(rows) {
+  const startIdx = rows.findIndex((row) => row.value > 0);
+  if (startIdx === -1 || startIdx === rows.length - 1) return null;
+
+  const first = rows[startIdx];
+  const last = rows[rows.length - 1];
+  const cashflows = [{ date: first.date, amount: -first.value }];
+  rows.slice(startIdx + 1).forEach((row) => {
+    if (row.flow) cashflows.push({ date: row.date, amount: -row.flow });
+  });
+  cashflows.push({ date: last.date, amount: last.value });
+
+  const annualized = computeIrr(cashflows);
+  if (annualized === null) return null;
+  const years = daysBetween(first.date, last.date) / 365;
+  return { annualized, period: Math.pow(1 + annualized, years) - 1 };
+}
+
+// RISK METRICS
+// These take { date, value } points (prices or index levels) in date order.
+function computeDailyReturns(points) {
+  const returns = [];
+  for (let i = 1; i < points.length; i += 1) {
+    const prev = points[i - 1].value;
+    if (prev) returns.push({ date: points[i].date, value: points[i].value / prev - 1 });
+  }
+  return returns;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance =
+    values.reduce((sum, v) => sum + (v - avg) * (v - avg), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+function annualizedVolatility(returns) {
+  const sd = standardDeviation(returns.map((r) => r.value));
+  return sd === null ? null : sd * Math.sqrt(TRADING_DAYS_PER_YEAR);
+}
+
+function computeMaxDrawdown(points) {
+  let peak = null;
+  let worst = { drawdown: 0, peakDate: null, troughDate: null };
+  points.forEach((point) => {
+    if (peak === null || point.value > peak.value) peak = point;
+    const drawdown = point.value / peak.value - 1;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakDate: peak.date, troughDate: point.date };
+    }
+  });
+  return worst;
+}
+
+// Compound annual growth between the first and last points, by calendar days.
+function computeCagr(points) {
+  if (points.length < 2) return null;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const years = daysBetween(first.date, last.date) / 365;
+  if (!first.value || years <= 0) return null;
+  return Math.pow(last.value / first.value, 1 / years) - 1;
+}
+
+function sharpeRatio(returns, riskFreeRate = RISK_FREE_RATE) {
+  const values = returns.map((r) => r.value);
+  const sd = standardDeviation(values);
+  if (!sd) return null;
+  const excess = mean(values) - riskFreeRate / TRADING_DAYS_PER_YEAR;
+  return (excess / sd) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+}
+
+// Downside deviation only penalizes returns below the daily risk-free rate.
+function sortinoRatio(returns, riskFreeRate = RISK_FREE_RATE) {
+  if (returns.length < 2) return null;
+  const target = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const values = returns.map((r) => r.value);
+  const downside = Math.sqrt(
+    values.reduce((sum, v) => sum + Math.pow(Math.min(0, v - target), 2), 0) /
+      values.length
+  );
+  if (!downside) return null;
+  return ((mean(values) - target) / downside) * Math.sqrt(TRADING_DAYS_PER_YEAR);
+}
+
+// Pairs up returns that share a date before measuring co-movement.
+function betaAndCorrelation(assetReturns, benchReturns) {
+  const benchByDate = new Map(benchReturns.map((r) => [r.date, r.value]));
+  const pairs = assetReturns
+    .filter((r) => benchByDate.has(r.date))
+    .map((r) => [r.value, benchByDate.get(r.date)]);
+  if (pairs.length < 2) return { beta: null, correlation: null };
+
+  const meanA = mean(pairs.map(([a]) => a));
+  const meanB = mean(pairs.map(([, b]) => b));
+  let cov = 0;
+  let varA = 0;
+  let varB = 0;
+  pairs.forEach(([a, b]) => {
+    cov += (a - meanA) * (b - meanB);
+    varA += (a - meanA) * (a - meanA);
+    varB += (b - meanB) * (b - meanB);
+  });
+
+  return {
+    beta: varB ? cov / varB : null,
+    correlation: varA && varB ? cov / Math.sqrt(varA * varB) : null,
+  };
+}
+
+function computeRiskMetrics(points) {
+  const returns = computeDailyReturns(points);
+  return {
+    returns,
+    volatility: annualizedVolatility(returns),
+    drawdown: computeMaxDrawdown(points),
+    sharpe: sharpeRatio(returns),
+    sortino: sortinoRatio(returns),
+  };
+}
+
+// TECHNICAL INDICATORS
+// Each takes the full close history (so long look-backs are warmed up before
+// the visible range) and returns arrays aligned to it, null until defined.
+function computeSMA(values, period) {
+  let sum = 0;
+  return values.map((value, idx) => {
+    sum += value;
+    if (idx >= period) sum -= values[idx - period];
+    return idx >= period - 1 ? sum / period : null;
+  });
+}
+
+function computeEMA(values, period) {
+  const k = 2 / (period + 1);
+  let ema = null;
+  return values.map((value, idx) => {
+    if (value === null) return null;
+    if (ema === null) {
+      // Seed with the SMA of the first `period` values.
+      if (idx < period - 1) return null;
+      const window = values.slice(idx - period + 1, idx + 1);
+      if (window.some((v) => v === null)) return null;
+      ema = mean(window);
+      return ema;
+    }
+    ema = value * k + ema * (1 - k);
+    return ema;
+  });
+}
+
+function computeBollingerBands(values, period = 20, multiplier = 2) {
+  const middle = computeSMA(values, period);
+  const upper = [];
+  const lower = [];
+  values.forEach((value, idx) => {
+    if (middle[idx] === null) {
+      upper.push(null);
+      lower.push(null);
+      return;
+    }
+    const window = values.slice(idx - period + 1, idx + 1);
+    const variance =
+      window.reduce((sum, v) => sum + Math.pow(v - middle[idx], 2), 0) / period;
+    const band = multiplier * Math.sqrt(variance);
+    upper.push(middle[idx] + band);
+    lower.push(middle[idx] - band);
+  });
+  return { middle, upper, lower };
+}
+
+// Wilder's smoothing, as in the original RSI definition.
+function computeRSI(values, period = 14) {
+  const result = values.map(() => null);
+  if (values.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i += 1) {
+    const change = values[i] - values[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+  const rsi = () => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  result[period] = rsi();
+
+  for (let i = period + 1; i < values.length; i += 1) {
+    const change = values[i] - values[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = rsi();
+  }
+  return result;
+}
+
+function computeMACD(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = computeEMA(values, fast);
+  const slowEma = computeEMA(values, slow);
+  const macd = values.map((_, idx) =>
+    fastEma[idx] === null || slowEma[idx] === null ? null : fastEma[idx] - slowEma[idx]
+  );
+  const firstDefined = macd.findIndex((v) => v !== null);
+  const signal =
+    firstDefined === -1
+      ? macd.map(() => null)
+      : macd
+          .slice(0, firstDefined)
+          .map(() => null)
+          .concat(computeEMA(macd.slice(firstDefined), signalPeriod));
+  const histogram = macd.map((v, idx) =>
+    v === null || signal[idx] === null ? null : v - signal[idx]
+  );
+  return { macd, signal, histogram };
+}
+
+async function loadClosePoints(symbol, startDate, endDate) {
+  const rawSeries = await fetchDailySeries(symbol);
+  return seriesToPoints(rawSeries, startDate, endDate);
+}
+
+function formatRatio(value) {
+  return value === null || value === undefined ? "—" : value.toFixed(2);
+}
+
+// `subjects` are the lines on the chart; every subject gets a beta and
+// correlation column against each benchmark.
+function renderRiskTable(table, subjects, benchmarks) {
+  table.innerHTML = "";
+
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  ["Series", "Volatility", "Max drawdown", "Sharpe", "Sortino"]
+    .concat(benchmarks.map((b) => `β / ρ vs ${b.label}`))
+    .forEach((label) => headRow.appendChild(createEl("th", null, label)));
+  head.appendChild(headRow);
+
+  const body = createEl("tbody");
+  const benchMetrics = benchmarks.map((b) => computeRiskMetrics(b.points));
+
+  subjects.forEach((subject) => {
+    const metrics = computeRiskMetrics(subject.points);
+    const { drawdown } = metrics;
+    const row = createEl("tr");
+    const ddCell = createEl(
+      "td",
+      signedClass(drawdown.drawdown),
+      formatPercent(drawdown.drawdown)
+    );
+    if (drawdown.peakDate) {
+      ddCell.appendChild(
+        createEl("span", "muted tiny", ` ${drawdown.peakDate} → ${drawdown.troughDate}`)
+      );
+    }
+
+    row.append(
+      createEl("td", null, subject.label),
+      createEl("td", null, formatPercent(metrics.volatility, false)),
+      ddCell,
+      createEl("td", null, formatRatio(metrics.sharpe)),
+      createEl("td", null, formatRatio(metrics.sortino))
+    );
+
+    benchMetrics.forEach((bench) => {
+      const { beta, correlation } = betaAndCorrelation(metrics.returns, bench.returns);
+      const text = `${formatRatio(beta)} / ${formatRatio(correlation)}`;
+      row.appendChild(createEl("td", null, text));
+    });
+
+    body.appendChild(row);
+  });
+
+  table.append(head, body);
+}
+
+function seriesToPoints(series, startDate, endDate) {
+  return sliceSeriesByDate(series, startDate, endDate).map((row) => ({
+    date: row.date,
+    value: row.close,
+  }));
+}
+
+function buildSeriesDataset(series, startDate, endDate, label, color) {
+  const norm = normalizeSeries(sliceSeriesByDate(series, startDate, endDate));
+  return {
+    label,
+    data: norm.map((row) => row.value),
+    borderColor: color,
+    backgroundColor: "transparent",
+    borderWidth: 2,
+    pointRadius: 0,
+    tension: 0.25,
+  };
+}
+
+// `localPriceMaps` hold each listing's own closes; `priceMaps`, `transactions`
+// and `rows` are restated in the base currency at each day's FX close.
+async function loadPortfolioHistory(dates) {
+  const symbols = getLedgerSymbols();
+  const [allSeries, currencies] = await Promise.all([
+    Promise.all(symbols.map((s) => fetchDailySeries(s))),
+    resolveSymbolCurrencies(symbols),
+  ]);
+  const converters = await loadFxConverters(currencies, transactions);
+
+  // Ledger prices are what was actually traded, so value holdings at raw closes
+  // even when the charts use adjusted ones.
+  const localPriceMaps = new Map();
+  const priceMaps = new Map();
+  allSeries.forEach((series, idx) => {
+    const rateOn = converters.get(currencies.get(symbols[idx]));
+    const local = new Map();
+    const base = new Map();
+    series.forEach((row) => {
+      local.set(row.date, row.rawClose);
+      base.set(row.date, row.rawClose * rateOn(row.date));
+    });
+    localPriceMaps.set(symbols[idx], local);
+    priceMaps.set(symbols[idx], base);
+  });
+
+  const baseTransactions = convertTransactions(transactions, currencies, converters);
+  return {
+    currencies,
+    localPriceMaps,
+    priceMaps,
+    transactions: baseTransactions,
+    rows: replayLedger(baseTransactions, dates, priceMaps),
+  };
+}
+
+function buildPortfolioDataset(history, color) {
+  const datasetValues = buildLedgerIndex(history.rows);
+  if (datasetValues.every((v) => v === null)) return null;
+
+  return {
+    label: "Portfolio",
+    data: datasetValues,
+    borderColor: color,
+    backgroundColor: "transparent",
+    borderWidth: 2.4,
+    pointRadius: 0,
+    tension: 0.25,
+  };
+}
+
+// PORTFOLIO SUMMARY
+function formatPercent(value, signed = true) {
+  if (value === null || value === undefined || Number.isNaN(value)) return "—";
+  return `${signed && value >= 0 ? "+" : ""}${(value * 100).toFixed(2)}%`;
+}
+
+function signedClass(value) {
+  if (value === null || value === undefined || value === 0) return null;
+  return value > 0 ? "is-positive" : "is-negative";
+}
+
+function renderPortfolioSummary(history, start, end) {
+  const tiles = $("#portfolio-summary");
+  const body = $("#holdings-pnl-table tbody");
+  tiles.innerHTML = "";
+  body.innerHTML = "";
+
+  if (!history || !history.rows.length) {
+    tiles.appendChild(createEl("p", "muted tiny", "Record transactions to see a summary."));
+    return;
+  }
+
+  const rows = history.rows;
+  const base = getBaseCurrency();
+  const prices = pricesAsOf(history.priceMaps, end);
+  const holdings = computeHoldingPnl(history.transactions, prices, start, end);
+  const localHoldings = new Map(
+    computeHoldingPnl(transactions, pricesAsOf(history.localPriceMaps, end), start, end)
+      .map((h) => [h.symbol, h])
+  );
+  // Price return on the open lots; the base figure includes currency moves.
+  const lotReturn = (h) =>
+    h && h.unrealized !== null && h.costBasis ? h.unrealized / h.costBasis : null;
+  const sum = (key) =>
+    holdings.reduce(
+      (total, h) => (total === null || h[key] === null ? null : total + h[key]),
+      0
+    );
+  const unrealized = sum("unrealized");
+  const realized = sum("realized");
+
+  const twr = computeTimeWeightedReturn(rows);
+  const mwr = computeMoneyWeightedReturn(rows);
+  const stats = [
+    {
+      label: "Market value",
+      value: formatCurrency(rows[rows.length - 1].value, base),
+    },
+    { label: "Unrealized P&L", value: formatCurrency(unrealized, base), tone: unrealized },
+    { label: "Realized P&L", value: formatCurrency(realized, base), tone: realized },
+    { label: "Time-weighted", value: formatPercent(twr), tone: twr, hint: `In ${base}` },
+    {
+      label: "Money-weighted",
+      value: formatPercent(mwr && mwr.period),
+      tone: mwr && mwr.period,
+      hint: mwr
+        ? `${formatPercent(mwr.annualized)} annualized`
+        : "Not available for this range",
+    },
+  ];
+
+  stats.forEach(({ label, value, tone, hint }) => {
+    const tile = createEl("div", "summary-tile");
+    const dt = createEl("dt", null, label);
+    const dd = createEl("dd", signedClass(tone), value);
+    tile.append(dt, dd);
+    if (hint) tile.appendChild(createEl("span", "muted tiny", hint));
+    tiles.appendChild(tile);
+  });
+
+  if (!holdings.length) {
+    const row = createEl("tr");
+    const cell = createEl("td", "muted tiny", "No holdings in this range.");
+    cell.colSpan = 10;
+    row.appendChild(cell);
+    body.appendChild(row);
+    return;
+  }
+
+  holdings.forEach((h) => {
+    const row = createEl("tr");
+    const localReturn = lotReturn(localHoldings.get(h.symbol));
+    const baseReturn = lotReturn(h);
+    const cells = [
+      [h.symbol],
+      [history.currencies.get(h.symbol)],
+      [h.shares.toLocaleString()],
+      [formatCurrency(h.costBasis, base)],
+      [formatCurrency(h.marketValue, base)],
+      [formatCurrency(h.unrealized, base), signedClass(h.unrealized)],
+      [formatCurrency(h.realized, base), signedClass(h.realized)],
+      [formatCurrency(h.dividends, base)],
+      [formatPercent(localReturn), signedClass(localReturn)],
+      [formatPercent(baseReturn), signedClass(baseReturn)],
+    ];
+    cells.forEach(([text, className]) => row.appendChild(createEl("td", className, text)));
+    body.appendChild(row);
+  });
+}
+
+// ALLOCATION
+// Weights use each open position at its latest close, converted to the base
+// currency, so they reflect today's portfolio rather than the chart range.
+// Cash is left out.
+const MARKET_CAP_BUCKETS = [
+  { label: "Mega cap (> $200B)", min: 200e9 },
+  { label: "Large cap ($10B–$200B)", min: 10e9 },
+  { label: "Mid cap ($2B–$10B)", min: 2e9 },
+  { label: "Small cap ($300M–$2B)", min: 300e6 },
+  { label: "Micro cap (< $300M)", min: 0 },
+];
+const UNKNOWN_BUCKET = "Unknown";
+const ALLOCATION_COLORS = [
+  "#7fb4ff",
+  "#ffd27f",
+  "#9cdbba",
+  "#f1b8ff",
+  "#ff9f7f",
+  "#7fe0ff",
+  "#d4ff7f",
+  "#ff7fb0",
+  "#b8a4ff",
+  "#ffe9a8",
+];
+const ALLOCATION_DIMENSIONS = {
+  holding: { label: "Holding", bucket: (p) => p.symbol },
+  sector: { label: "Sector", bucket: (p) => p.overview.sector },
+  industry: { label: "Industry", bucket: (p) => p.overview.industry },
+  country: { label: "Country", bucket: (p) => p.overview.country },
+  currency: { label: "Currency", bucket: (p) => p.currency },
+  marketCap: {
+    label: "Market cap",
+    bucket: (p) =>
+      p.marketCapUsd
+        ? MARKET_CAP_BUCKETS.find((b) => p.marketCapUsd >= b.min).label
+        : null,
+  },
+};
+
+// Past the palette, buckets reuse colors at lower opacity.
+function allocationColor(idx) {
+  const color = ALLOCATION_COLORS[idx % ALLOCATION_COLORS.length];
+  return idx < ALLOCATION_COLORS.length ? color : `${color}99`;
+}
+
+function getConcentrationLimit() {
+  const stored = parseFloat(localStorage.getItem(CONCENTRATION_LIMIT_STORAGE_KEY));
+  return stored > 0 && stored <= 1 ? stored : DEFAULT_CONCENTRATION_LIMIT;
+}
+
+// Returns [{ label, value, weight, symbols }] sorted by value, largest first.
+// Overview fields are free text, so buckets are keyed case-insensitively:
+// "TECHNOLOGY" and "Technology" are one bucket.
+function allocationBucket(position, dimension) {
+  const raw = ALLOCATION_DIMENSIONS[dimension].bucket(position);
+  const label = !raw || raw === "None" ? UNKNOWN_BUCKET : raw;
+  return { key: label.toUpperCase(), label };
+}
+
+function computeAllocation(positions, dimension) {
+  const total = positions.reduce((sum, p) => sum + p.value, 0);
+  const buckets = new Map();
+  positions.forEach((p) => {
+    const { key, label } = allocationBucket(p, dimension);
+    if (!buckets.has(key)) buckets.set(key, { key, label, value: 0, symbols: [] });
+    const entry = buckets.get(key);
+    entry.value += p.value;
+    entry.symbols.push(p.symbol);
+  });
+  return [...buckets.values()]
+    .map((entry) => ({ ...entry, weight: total ? entry.value / total : 0 }))
+    .sort((a, b) => b.value - a.value);
+}
+
+// Every bucket, in every breakdown, over the limit. Unknowns are not a real
+// exposure, so they are never flagged.
+function findConcentrationBreaches(positions, limit) {
+  const breaches = [];
+  Object.entries(ALLOCATION_DIMENSIONS).forEach(([dimension, { label }]) => {
+    computeAllocation(positions, dimension)
+      .filter((entry) => entry.label !== UNKNOWN_BUCKET && entry.weight > limit)
+      .forEach((entry) => breaches.push({ dimension: label, ...entry }));
+  });
+  return breaches;
+}
+
+async function loadAllocationPositions() {
+  const shares = new Map();
+  runFifo(transactions).lots.forEach((lot) => {
+    shares.set(lot.symbol, (shares.get(lot.symbol) || 0) + lot.shares);
+  });
+  const symbols = [...shares.keys()].filter((symbol) => shares.get(symbol) > 0);
+  const [allSeries, overviews] = await Promise.all([
+    Promise.all(symbols.map((symbol) => fetchDailySeries(symbol))),
+    Promise.all(symbols.map((symbol) => fetchOverview(symbol))),
+  ]);
+  const currencies = await resolveSymbolCurrencies(symbols);
+  const converters = await loadFxConverters(currencies);
+  // Market caps are reported in the listing currency; the buckets are in dollars.
+  const toUsd = async (currency) =>
+    currency === "USD" ? 1 : (await loadFxConverter(currency, "USD")).latest;
+  const usdRates = await Promise.all(symbols.map((s) => toUsd(currencies.get(s))));
+  return symbols
+    .map((symbol, idx) => {
+      const series = allSeries[idx];
+      const last = series[series.length - 1];
+      const currency = currencies.get(symbol);
+      const { marketCap } = overviews[idx];
+      const rate = converters.get(currency).latest;
+      return {
+        symbol,
+        currency,
+        overview: overviews[idx],
+        marketCapUsd: marketCap ? marketCap * usdRates[idx] : null,
+        value: last ? shares.get(symbol) * last.rawClose * rate : 0,
+      };
+    })
+    .filter((p) => p.value > 0);
+}
+
+function renderAllocationWarnings() {
+  const list = $("#allocation-warnings");
+  const limit = getConcentrationLimit();
+  list.innerHTML = "";
+  findConcentrationBreaches(allocationPositions, limit).forEach((breach) => {
+    const text =
+      `${breach.dimension}: ${breach.label} is ${formatPercent(breach.weight, false)} ` +
+      `of the portfolio, over the ${formatPercent(limit, false)} limit.`;
+    list.appendChild(createEl("li", null, text));
+  });
+  list.hidden = !list.children.length;
+}
+
+function renderAllocation() {
+  const table = $("#allocation-table");
+  const limit = getConcentrationLimit();
+  const entries = computeAllocation(allocationPositions, allocationDimension);
+  table.innerHTML = "";
+  renderAllocationWarnings();
+
+  if (allocationChart) {
+    allocationChart.destroy();
+    allocationChart = null;
+  }
+  $("#allocation-results").hidden = !entries.length;
+  if (!entries.length) return;
+
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  [ALLOCATION_DIMENSIONS[allocationDimension].label, "Value", "Weight", "Holdings"].forEach(
+    (label) => headRow.appendChild(createEl("th", null, label))
+  );
+  head.appendChild(headRow);
+  const body = createEl("tbody");
+  entries.forEach((entry, idx) => {
+    const over = entry.label !== UNKNOWN_BUCKET && entry.weight > limit;
+    const row = createEl("tr", over ? "is-over-limit" : null);
+    const labelCell = createEl("td");
+    const swatch = createEl("span", "swatch");
+    swatch.style.background = allocationColor(idx);
+    labelCell.append(swatch, entry.label);
+    row.append(
+      labelCell,
+      createEl("td", null, formatCurrency(entry.value, getBaseCurrency())),
+      createEl("td", over ? "is-negative" : null, formatPercent(entry.weight, false)),
+      createEl("td", "muted", entry.symbols.join(", "))
+    );
+    body.appendChild(row);
+  });
+  table.append(head, body);
+
+  const ctx = document.getElementById("allocation-chart").getContext("2d");
+  allocationChart = new Chart(ctx, {
+    type: "doughnut",
+    data: {
+      labels: entries.map((entry) => entry.label),
+      datasets: [
+        {
+          data: entries.map((entry) => entry.value),
+          backgroundColor: entries.map((_, idx) => allocationColor(idx)),
+          borderColor: "rgba(7, 10, 20, 0.9)",
+          borderWidth: 2,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      cutout: "62%",
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (context) => {
+              const { weight } = entries[context.dataIndex];
+              return `${context.label}: ${formatPercent(weight, false)}`;
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+// Positions only need reloading when the portfolio, its open shares, the base
+// currency or the data source change, not on every chart redraw.
+function allocationInputsKey() {
+  const shares = portfolio
+    .map((lot) => `${lot.symbol}:${lot.shares}`)
+    .sort()
+    .join(",");
+  const provider = getMarketDataProvider().id;
+  return [activePortfolioId, provider, getBaseCurrency(), shares].join("|");
+}
+
+async function updateAllocation() {
+  const status = $("#allocation-status");
+  const key = allocationInputsKey();
+  if (key === allocationKey) return;
+  const token = ++allocationToken;
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+  status.textContent = "Loading allocation…";
+  try {
+    const positions = await loadAllocationPositions();
+    if (token !== allocationToken) return;
+    allocationKey = key;
+    allocationPositions = positions;
+    renderAllocation();
+    renderRebalanceTargets();
+    status.textContent = positions.length ? "" : "No open positions to break down.";
+  } catch (e) {
+    console.error(e);
+    if (token !== allocationToken) return;
+    status.textContent = describeApiError(e, "Unable to load sector and country data.");
+  }
+}
+
+function initAllocation() {
+  const buttons = document.querySelectorAll("[data-allocation-dimension]");
+  buttons.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      allocationDimension = btn.dataset.allocationDimension;
+      buttons.forEach((b) =>
+        b.classList.toggle(
+          "pill-btn--active",
+          b.dataset.allocationDimension === allocationDimension
+        )
+      );
+      renderAllocation();
+    });
+  });
+
+  const limitInput = $("#concentration-limit");
+  limitInput.value = Math.round(getConcentrationLimit() * 100);
+  $("#concentration-form").addEventListener("submit", (event) => {
+    event.preventDefault();
+    const percent = parseFloat(limitInput.value);
+    if (!(percent > 0 && percent <= 100)) {
+      alert("Enter a limit between 1% and 100%.");
+      return;
+    }
+    localStorage.setItem(CONCENTRATION_LIMIT_STORAGE_KEY, String(percent / 100));
+    renderAllocation();
+  });
+}
+
+// REBALANCING
+// Targets are kept per portfolio: { [portfolioId]: { mode, targets: { holding,
+// sector }, cashOnly, minTrade, wholeShares, contribution } }, with target
+// weights as fractions keyed by symbol or upper-cased sector.
+const REBALANCE_MODES = ["holding", "sector"];
+
+function loadRebalanceSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(REBALANCE_STORAGE_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("Unable to read rebalance targets", e);
+    return {};
+  }
+}
+
+function getRebalanceSettings() {
+  const stored = loadRebalanceSettings()[activePortfolioId] || {};
+  return {
+    mode: REBALANCE_MODES.includes(stored.mode) ? stored.mode : "holding",
+    targets: { holding: {}, sector: {}, ...stored.targets },
+    cashOnly: Boolean(stored.cashOnly),
+    minTrade: stored.minTrade > 0 ? stored.minTrade : 0,
+    wholeShares: stored.wholeShares !== false,
+    contribution: stored.contribution > 0 ? stored.contribution : 0,
+  };
+}
+
+function saveRebalanceSettings(settings) {
+  const all = loadRebalanceSettings();
+  all[activePortfolioId] = settings;
+  localStorage.setItem(REBALANCE_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Cash left in the ledger today. Buys without a matching deposit count as
+// funded from outside, so this never goes negative.
+// `txs` should already be restated in the base currency.
+function currentLedgerCash(txs) {
+  const state = { holdings: new Map(), cash: 0 };
+  const prices = new Map();
+  sortTransactions(txs).forEach((tx) => applyLedgerTransaction(state, tx, prices));
+  return Math.max(state.cash, 0);
+}
+
+// The rows the targets table offers: every current bucket, plus any target the
+// user added for a bucket not held yet.
+function listRebalanceBuckets(settings) {
+  const current = computeAllocation(allocationPositions, settings.mode);
+  const rows = current.map((entry) => ({
+    key: entry.key,
+    label: entry.label,
+    weight: entry.weight,
+  }));
+  Object.keys(settings.targets[settings.mode]).forEach((key) => {
+    if (!rows.some((row) => row.key === key)) rows.push({ key, label: key, weight: 0 });
+  });
+  return rows;
+}
+
+// `positions` are [{ symbol, shares, price, bucket }] and `targets` maps bucket
+// keys to weights of the whole account (positions plus cash); whatever the
+// targets leave unallocated stays in cash. Within a sector, trades keep the
+// existing mix of holdings. Returns { trades, cashBefore, cashAfter, before,
+// after, unfunded } where before/after map bucket keys to values.
+function planRebalance(positions, cash, targets, options) {
+  const { cashOnly, minTrade, wholeShares } = options;
+  const held = positions.reduce((sum, p) => sum + p.shares * p.price, 0);
+  const total = held + cash;
+  const bucketValues = (shareCounts) => {
+    const values = new Map();
+    positions.forEach((p) => {
+      const value = (shareCounts.get(p.symbol) ?? p.shares) * p.price;
+      values.set(p.bucket, (values.get(p.bucket) || 0) + value);
+    });
+    return values;
+  };
+  const before = bucketValues(new Map());
+
+  const unfunded = [...targets.keys()].filter(
+    (key) => targets.get(key) > 0 && !positions.some((p) => p.bucket === key)
+  );
+  let desired = positions.map((p) => {
+    const value = p.shares * p.price;
+    const bucketValue = before.get(p.bucket);
+    const target = (targets.get(p.bucket) || 0) * total;
+    // New symbols (no value yet) in holding mode get their bucket's full target.
+    const share = bucketValue ? value / bucketValue : 1;
+    return { ...p, delta: target * share - value };
+  });
+
+  if (cashOnly) {
+    desired = desired.filter((p) => p.delta > 0);
+    const wanted = desired.reduce((sum, p) => sum + p.delta, 0);
+    if (wanted > cash) {
+      desired = desired.map((p) => ({ ...p, delta: (p.delta * cash) / wanted }));
+    }
+  }
+
+  const toShares = (amount, price) => {
+    const shares = amount / price;
+    return wholeShares ? Math.floor(shares) : Math.round(shares * 10000) / 10000;
+  };
+  const trades = [];
+  let cashAfter = cash;
+  // Sells first so their proceeds can fund the buys.
+  desired
+    .filter((p) => p.delta < 0 && -p.delta >= minTrade)
+    .forEach((p) => {
+      const shares = Math.min(toShares(-p.delta, p.price), p.shares);
+      if (shares <= 0) return;
+      cashAfter += shares * p.price;
+      trades.push({ symbol: p.symbol, side: "sell", shares, price: p.price });
+    });
+  desired
+    .filter((p) => p.delta > 0 && p.delta >= minTrade)
+    .sort((a, b) => b.delta - a.delta)
+    .forEach((p) => {
+      const shares = toShares(Math.min(p.delta, cashAfter), p.price);
+      if (shares <= 0 || shares * p.price < minTrade) return;
+      cashAfter -= shares * p.price;
+      trades.push({ symbol: p.symbol, side: "buy", shares, price: p.price });
+    });
+  trades.forEach((trade) => {
+    trade.amount = trade.shares * trade.price;
+  });
+
+  const sharesAfter = new Map();
+  trades.forEach((trade) => {
+    const p = positions.find((pos) => pos.symbol === trade.symbol);
+    const sign = trade.side === "buy" ? 1 : -1;
+    sharesAfter.set(trade.symbol, p.shares + sign * trade.shares);
+  });
+  return {
+    trades,
+    cashBefore: cash,
+    cashAfter,
+    total,
+    before,
+    after: bucketValues(sharesAfter),
+    unfunded,
+  };
+}
+
+function renderRebalanceTargets() {
+  const table = $("#rebalance-targets");
+  const settings = getRebalanceSettings();
+  const targets = settings.targets[settings.mode];
+  table.innerHTML = "";
+  // Any plan on screen was for the old targets or positions.
+  $("#rebalance-results").hidden = true;
+  $("#rebalance-add").hidden = settings.mode !== "holding";
+  document.querySelectorAll("[data-rebalance-mode]").forEach((btn) => {
+    btn.classList.toggle("pill-btn--active", btn.dataset.rebalanceMode === settings.mode);
+  });
+  $("#rebalance-cash-only").checked = settings.cashOnly;
+  $("#rebalance-whole-shares").checked = settings.wholeShares;
+  $("#rebalance-min-trade").value = settings.minTrade || "";
+  $("#rebalance-contribution").value = settings.contribution || "";
+
+  const rows = listRebalanceBuckets(settings);
+  if (!rows.length) {
+    table.appendChild(createEl("caption", "muted tiny", "No open positions to rebalance."));
+    return;
+  }
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  [settings.mode === "holding" ? "Holding" : "Sector", "Current", "Target (%)"].forEach(
+    (label) => headRow.appendChild(createEl("th", null, label))
+  );
+  head.appendChild(headRow);
+
+  const body = createEl("tbody");
+  rows.forEach((row) => {
+    const tr = createEl("tr");
+    const input = createEl("input");
+    input.type = "number";
+    input.min = "0";
+    input.max = "100";
+    input.step = "0.1";
+    input.dataset.targetKey = row.key;
+    const stored = targets[row.key];
+    const weight = stored === undefined ? row.weight : stored;
+    input.value = (weight * 100).toFixed(1);
+    const inputCell = createEl("td");
+    inputCell.appendChild(input);
+    tr.append(
+      createEl("td", null, row.label),
+      createEl("td", "muted", formatPercent(row.weight, false)),
+      inputCell
+    );
+    body.appendChild(tr);
+  });
+  table.append(head, body);
+}
+
+// Reads the form back into settings; returns null (after alerting) when the
+// targets do not add up.
+function readRebalanceForm() {
+  const settings = getRebalanceSettings();
+  const targets = {};
+  let sum = 0;
+  document.querySelectorAll("#rebalance-targets [data-target-key]").forEach((input) => {
+    const percent = parseFloat(input.value) || 0;
+    targets[input.dataset.targetKey] = Math.max(percent, 0) / 100;
+    sum += Math.max(percent, 0);
+  });
+  if (sum > 100.05) {
+    alert(`Targets add up to ${sum.toFixed(1)}%. Bring them to 100% or less.`);
+    return null;
+  }
+  settings.targets[settings.mode] = targets;
+  settings.cashOnly = $("#rebalance-cash-only").checked;
+  settings.wholeShares = $("#rebalance-whole-shares").checked;
+  settings.minTrade = Math.max(parseFloat($("#rebalance-min-trade").value) || 0, 0);
+  settings.contribution = Math.max(parseFloat($("#rebalance-contribution").value) || 0, 0);
+  saveRebalanceSettings(settings);
+  return settings;
+}
+
+function renderRebalancePlan(plan, settings) {
+  const tradesBody = $("#rebalance-trades tbody");
+  const allocationTable = $("#rebalance-allocation");
+  tradesBody.innerHTML = "";
+  allocationTable.innerHTML = "";
+
+  if (!plan.trades.length) {
+    const row = createEl("tr");
+    const cell = createEl("td", "muted tiny", "Already on target within these options.");
+    cell.colSpan = 5;
+    row.appendChild(cell);
+    tradesBody.appendChild(row);
+  }
+  plan.trades.forEach((trade) => {
+    const row = createEl("tr");
+    row.append(
+      createEl("td", null, trade.symbol),
+      createEl("td", trade.side === "buy" ? "is-positive" : "is-negative", trade.side),
+      createEl("td", null, trade.shares.toLocaleString()),
+      createEl("td", null, formatCurrency(trade.localPrice, trade.currency)),
+      createEl("td", null, formatCurrency(trade.amount, getBaseCurrency()))
+    );
+    tradesBody.appendChild(row);
+  });
+
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  [settings.mode === "holding" ? "Holding" : "Sector", "Before", "Target", "After"].forEach(
+    (label) => headRow.appendChild(createEl("th", null, label))
+  );
+  head.appendChild(headRow);
+  const body = createEl("tbody");
+  const targets = settings.targets[settings.mode];
+  const keys = [...new Set([...plan.before.keys(), ...Object.keys(targets)])];
+  const labels = new Map(
+    computeAllocation(allocationPositions, settings.mode).map((e) => [e.key, e.label])
+  );
+  const addRow = (label, before, target, after) => {
+    const row = createEl("tr");
+    row.append(
+      createEl("td", null, label),
+      createEl("td", null, formatPercent(before / plan.total, false)),
+      createEl("td", "muted", target === null ? "—" : formatPercent(target, false)),
+      createEl("td", null, formatPercent(after / plan.total, false))
+    );
+    body.appendChild(row);
+  };
+  keys.forEach((key) => {
+    addRow(
+      labels.get(key) || key,
+      plan.before.get(key) || 0,
+      targets[key] ?? 0,
+      plan.after.get(key) || 0
+    );
+  });
+  const targetCash = 1 - Object.values(targets).reduce((sum, w) => sum + w, 0);
+  addRow("Cash", plan.cashBefore, Math.max(targetCash, 0), plan.cashAfter);
+  allocationTable.append(head, body);
+  $("#rebalance-results").hidden = false;
+}
+
+async function handleRebalanceSubmit(event) {
+  event.preventDefault();
+  const status = $("#rebalance-status");
+  const settings = readRebalanceForm();
+  if (!settings) return;
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  const shares = new Map();
+  runFifo(transactions).lots.forEach((lot) => {
+    shares.set(lot.symbol, (shares.get(lot.symbol) || 0) + lot.shares);
+  });
+  const targets = settings.targets[settings.mode];
+  const symbols = [...shares.keys()].filter((symbol) => shares.get(symbol) > 0);
+  if (settings.mode === "holding") {
+    Object.keys(targets).forEach((symbol) => {
+      if (!symbols.includes(symbol) && targets[symbol] > 0) symbols.push(symbol);
+    });
+  }
+
+  status.textContent = "Fetching current prices…";
+  $("#rebalance-results").hidden = true;
+  try {
+    const quotes = await Promise.all(symbols.map((symbol) => fetchGlobalQuote(symbol)));
+    const missing = symbols.filter((_, idx) => !quotes[idx].price);
+    if (missing.length) {
+      status.textContent = `No current price for ${missing.join(", ")}.`;
+      return;
+    }
+    // Weights and cash are compared in the base currency; trades keep the
+    // listing's own price for the ledger.
+    const ledgerSymbols = [...new Set([...getLedgerSymbols(), ...symbols])];
+    const currencies = await resolveSymbolCurrencies(ledgerSymbols);
+    const converters = await loadFxConverters(currencies, transactions);
+    const positions = symbols.map((symbol, idx) => {
+      const known = allocationPositions.find((p) => p.symbol === symbol);
+      const position = { symbol, overview: known ? known.overview : {} };
+      const currency = currencies.get(symbol);
+      return {
+        symbol,
+        currency,
+        shares: shares.get(symbol) || 0,
+        localPrice: quotes[idx].price,
+        price: quotes[idx].price * converters.get(currency).latest,
+        bucket: allocationBucket(position, settings.mode).key,
+      };
+    });
+    const ledgerCash = currentLedgerCash(
+      convertTransactions(transactions, currencies, converters)
+    );
+    const cash = ledgerCash + settings.contribution;
+    const plan = planRebalance(positions, cash, new Map(Object.entries(targets)), settings);
+    plan.trades.forEach((trade) => {
+      const { localPrice, currency } = positions.find((p) => p.symbol === trade.symbol);
+      Object.assign(trade, { localPrice, currency });
+    });
+    rebalancePlan = plan;
+    renderRebalancePlan(plan, settings);
+    status.textContent = plan.unfunded.length
+      ? `Nothing held in ${plan.unfunded.join(", ")}, so those targets stay in cash.`
+      : "";
+  } catch (e) {
+    console.error(e);
+    status.textContent = describeApiError(e, "Unable to price the rebalance.");
+  }
+}
+
+// Planned trades as ledger rows, so the file can be imported once they fill.
+function exportRebalancePlan() {
+  if (!rebalancePlan || !rebalancePlan.trades.length) {
+    alert("Plan some trades first.");
+    return;
+  }
+  const rows = rebalancePlan.trades.map((trade) => [
+    todayKey(),
+    trade.side,
+    trade.symbol,
+    trade.shares,
+    trade.localPrice,
+    "",
+    "",
+  ]);
+  const stem = getActivePortfolio().name.replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "");
+  downloadFile(
+    `${stem || "portfolio"}-rebalance.csv`,
+    "text/csv",
+    toCsv([IMPORT_FIELDS, ...rows])
+  );
+}
+
+function initRebalancing() {
+  $("#rebalance-form").addEventListener("submit", handleRebalanceSubmit);
+  document.querySelectorAll("[data-rebalance-mode]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const settings = getRebalanceSettings();
+      settings.mode = btn.dataset.rebalanceMode;
+      saveRebalanceSettings(settings);
+      renderRebalanceTargets();
+    });
+  });
+  $("#rebalance-add-button").addEventListener("click", () => {
+    const input = $("#rebalance-add-symbol");
+    const symbol = input.value.trim().toUpperCase();
+    if (!isValidSymbol(symbol)) {
+      alert("Please enter a ticker symbol like VTI or APC.DEX.");
+      return;
+    }
+    const settings = readRebalanceForm();
+    if (!settings) return;
+    if (settings.targets.holding[symbol] === undefined) {
+      settings.targets.holding[symbol] = 0;
+      saveRebalanceSettings(settings);
+    }
+    input.value = "";
+    renderRebalanceTargets();
+  });
+  $("#rebalance-export").addEventListener("click", exportRebalancePlan);
+}
+
+// DIVIDENDS & SPLITS
+// Dividends go to whoever held the shares the day before the ex-date. The
+// forward projection assumes each payment of the last twelve months repeats a
+// year later at its current, split-adjusted size, on today's share count.
+// Per-share amounts stay in the listing currency; income is converted to the
+// base currency at the ex-date's rate, and projections at the latest one.
+const INCOME_MONTHS = 12;
+let incomeChart = null;
+let incomeToken = 0;
+// Without adjusted history, dividend data costs an extra (possibly premium)
+// request per symbol, so it is only fetched once asked for in this session.
+let corporateActionsRequested = false;
+
+function corporateActionsEnabled() {
+  return corporateActionsRequested || getPriceHistoryOptions().adjusted;
+}
+
+function previousDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function formatMonthLabel(monthKey) {
+  return new Date(`${monthKey}-01T00:00:00`).toLocaleString(undefined, {
+    month: "short",
+    year: "2-digit",
+  });
+}
+
+// Chain-links raw closes with each day's split and dividend, so the level
+// tracks a holding that reinvests every payment. Shaped like a daily series.
+function totalReturnSeries(rows) {
+  let level = 100;
+  return rows.map((row, idx) => {
+    if (idx > 0 && rows[idx - 1].rawClose) {
+      const prev = rows[idx - 1].rawClose;
+      level *= (row.rawClose * row.splitCoefficient + row.dividend) / prev;
+    }
+    return { date: row.date, close: level };
+  });
+}
+
+// The dividends-reinvested line for the Search chart, or null when nothing was
+// paid in range (the price line already says it all).
+async function buildTotalReturnDataset(symbol, startDate, endDate) {
+  const { series, dividends } = await fetchCorporateActions(symbol);
+  const paid = dividends.some((d) => d.exDate > startDate && d.exDate <= endDate);
+  if (!paid) return null;
+  const dataset = buildSeriesDataset(
+    totalReturnSeries(series),
+    startDate,
+    endDate,
+    `${symbol} total return`,
+    "rgba(191, 215, 255, 0.7)"
+  );
+  dataset.borderDash = [5, 4];
+  dataset.borderWidth = 1.6;
+  return dataset;
+}
+
+function loadDismissedSplits() {
+  try {
+    return JSON.parse(localStorage.getItem(DISMISSED_SPLITS_STORAGE_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("Unable to read dismissed splits", e);
+    return {};
+  }
+}
+
+function splitKey(symbol, date) {
+  return `${symbol}|${date}`;
+}
+
+function dismissSplit(tx) {
+  const all = loadDismissedSplits();
+  const dismissed = all[activePortfolioId] || [];
+  all[activePortfolioId] = [...dismissed, splitKey(tx.symbol, tx.date)];
+  localStorage.setItem(DISMISSED_SPLITS_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Fills in the total-return line after `chart` is drawn, so it never waits on
+// the extra request. Skipped if the chart was redrawn in the meantime.
+async function addTotalReturnLine(chart, symbol, startDate, endDate) {
+  try {
+    const dataset = await buildTotalReturnDataset(symbol, startDate, endDate);
+    if (!dataset || chart !== searchChart) return;
+    chart.data.datasets.splice(1, 0, dataset);
+    chart.update();
+  } catch (e) {
+    console.warn("Unable to load dividends for the total-return line", e);
+  }
+}
+
+// Splits from market data that the ledger has not recorded, for shares held at
+// the time, as ledger transactions. They are only suggestions: broker exports
+// often report split-adjusted quantities already, so recording one could
+// multiply those shares twice.
+function findUnrecordedSplits(symbol, splits) {
+  const dismissed = new Set(loadDismissedSplits()[activePortfolioId] || []);
+  return splits
+    .filter(
+      (split) =>
+        !dismissed.has(splitKey(symbol, split.date)) &&
+        sharesHeldOn(transactions, symbol, previousDay(split.date)) > 0 &&
+        !transactions.some(
+          (tx) => tx.type === "split" && tx.symbol === symbol && tx.date === split.date
+        )
+    )
+    .map((split) =>
+      normalizeTransaction({ type: "split", symbol, date: split.date, shares: split.ratio })
+    );
+}
+
+function renderSplitSuggestions(suggestions) {
+  const list = $("#income-splits");
+  list.innerHTML = "";
+  suggestions.forEach((tx) => {
+    const text =
+      `${tx.symbol} had a ${formatSplitRatio(tx.shares)} split on ${tx.date} ` +
+      "that isn't in your ledger.";
+    const add = createEl("button", "link-btn", "Add to ledger");
+    add.type = "button";
+    add.addEventListener("click", () => {
+      const next = [...transactions, tx];
+      if (!checkLedgerChange(next)) return;
+      transactions = next;
+      commitLedgerChange();
+    });
+    const dismiss = createEl("button", "link-btn", "Dismiss");
+    dismiss.type = "button";
+    dismiss.addEventListener("click", () => {
+      dismissSplit(tx);
+      renderSplitSuggestions(suggestions.filter((other) => other !== tx));
+    });
+    const item = createEl("li");
+    item.append(createEl("span", null, text), add, dismiss);
+    list.appendChild(item);
+  });
+  list.hidden = !suggestions.length;
+}
+
+// Returns { asOf, events, holdings } where events are received dividends and
+// splits ({ date, symbol, kind, perShare, ratio, shares, income }), newest first.
+function computeIncome(symbols, actions, currencies, converters) {
+  const asOf = actions
+    .map(({ series }) => (series.length ? series[series.length - 1].date : ""))
+    .reduce((latest, date) => (date > latest ? date : latest), "");
+  const trailingStart = shiftDateString(asOf, { years: -1 });
+  const events = [];
+  const holdings = [];
+
+  symbols.forEach((symbol, idx) => {
+    const { series, dividends, splits } = actions[idx];
+    const currency = currencies.get(symbol);
+    const rateOn = converters.get(currency);
+    const sharesNow = sharesHeldOn(transactions, symbol, asOf);
+    // Later splits shrink a past per-share payment to today's share basis.
+    const splitFactorAfter = (date) =>
+      splits.filter((s) => s.date > date).reduce((product, s) => product * s.ratio, 1);
+
+    dividends.forEach((d) => {
+      const shares = sharesHeldOn(transactions, symbol, previousDay(d.exDate));
+      if (shares <= 0) return;
+      events.push({
+        date: d.exDate,
+        symbol,
+        kind: "dividend",
+        currency,
+        perShare: d.amount,
+        shares,
+        income: shares * d.amount * rateOn(d.exDate),
+      });
+    });
+    splits.forEach((split) => {
+      const shares = sharesHeldOn(transactions, symbol, previousDay(split.date));
+      if (shares <= 0) return;
+      events.push({ date: split.date, symbol, kind: "split", ratio: split.ratio, shares });
+    });
+
+    const trailing = dividends.filter((d) => d.exDate > trailingStart && d.exDate <= asOf);
+    const projected = trailing.map((d) => ({
+      date: shiftDateString(d.exDate, { years: 1 }),
+      income: (sharesNow * d.amount * rateOn.latest) / splitFactorAfter(d.exDate),
+    }));
+    const last = dividends[dividends.length - 1];
+    const lastClose = series.length ? series[series.length - 1].rawClose : null;
+    if (sharesNow > 0 || events.some((e) => e.symbol === symbol)) {
+      holdings.push({
+        symbol,
+        currency,
+        shares: sharesNow,
+        value: lastClose === null ? null : sharesNow * lastClose * rateOn.latest,
+        lastExDate: last ? last.exDate : null,
+        lastPerShare: last ? last.amount : null,
+        trailing: events
+          .filter((e) => e.symbol === symbol && e.kind === "dividend")
+          .filter((e) => e.date > trailingStart && e.date <= asOf)
+          .reduce((sum, e) => sum + e.income, 0),
+        projected,
+      });
+    }
+  });
+
+  events.sort((a, b) => (a.date < b.date ? 1 : -1));
+  return { asOf, trailingStart, events, holdings };
+}
+
+// Month keys for the trailing year up to `asOf` and the year after it.
+function incomeMonths(asOf) {
+  const months = [];
+  for (let i = -INCOME_MONTHS + 1; i <= INCOME_MONTHS; i += 1) {
+    months.push(shiftDateString(`${asOf.slice(0, 7)}-01`, { months: i }).slice(0, 7));
+  }
+  return months;
+}
+
+function renderIncome(income) {
+  const { asOf, trailingStart, events, holdings } = income;
+  const base = getBaseCurrency();
+  const months = incomeMonths(asOf);
+  const received = new Map();
+  const expected = new Map();
+  events
+    .filter((e) => e.kind === "dividend" && e.date > trailingStart && e.date <= asOf)
+    .forEach((e) => {
+      const key = e.date.slice(0, 7);
+      received.set(key, (received.get(key) || 0) + e.income);
+    });
+  holdings.forEach((h) =>
+    h.projected.forEach((p) => {
+      const key = p.date.slice(0, 7);
+      expected.set(key, (expected.get(key) || 0) + p.income);
+    })
+  );
+  const sumOf = (rows, key) => rows.reduce((sum, row) => sum + (row[key] || 0), 0);
+  const trailingTotal = sumOf(holdings, "trailing");
+  const projectedTotal = holdings.reduce((sum, h) => sum + sumOf(h.projected, "income"), 0);
+  const value = sumOf(holdings, "value");
+
+  const tiles = $("#income-summary");
+  tiles.innerHTML = "";
+  [
+    { label: "Trailing 12 months", value: formatCurrency(trailingTotal, base) },
+    { label: "Projected next 12 months", value: formatCurrency(projectedTotal, base) },
+    {
+      label: "Forward yield",
+      value: formatPercent(value ? projectedTotal / value : null, false),
+      hint: "Projected income over current value",
+    },
+  ].forEach(({ label, value: text, hint }) => {
+    const tile = createEl("div", "summary-tile");
+    tile.append(createEl("dt", null, label), createEl("dd", null, text));
+    if (hint) tile.appendChild(createEl("span", "muted tiny", hint));
+    tiles.appendChild(tile);
+  });
+
+  if (incomeChart) incomeChart.destroy();
+  const options = darkChartOptions({ formatY: (v) => formatCurrency(v, base) });
+  // Stacked so each month's single bar sits centered on its label.
+  options.scales.x.stacked = true;
+  options.scales.y.stacked = true;
+  incomeChart = new Chart(document.getElementById("income-chart").getContext("2d"), {
+    type: "bar",
+    data: {
+      labels: months.map(formatMonthLabel),
+      datasets: [
+        {
+          label: "Received",
+          data: months.map((m) => received.get(m) ?? (m <= asOf.slice(0, 7) ? 0 : null)),
+          backgroundColor: "rgba(156, 219, 186, 0.8)",
+        },
+        {
+          label: "Projected",
+          data: months.map((m) => (m > asOf.slice(0, 7) ? expected.get(m) || 0 : null)),
+          backgroundColor: "rgba(127, 180, 255, 0.45)",
+        },
+      ],
+    },
+    options,
+  });
+
+  const holdingsBody = $("#income-holdings tbody");
+  holdingsBody.innerHTML = "";
+  holdings.forEach((h) => {
+    const row = createEl("tr");
+    [
+      h.symbol,
+      h.shares.toLocaleString(),
+      h.lastExDate || "—",
+      h.lastPerShare === null ? "—" : formatCurrency(h.lastPerShare, h.currency),
+      formatCurrency(h.trailing, base),
+      formatCurrency(sumOf(h.projected, "income"), base),
+    ].forEach((text) => row.appendChild(createEl("td", null, text)));
+    holdingsBody.appendChild(row);
+  });
+
+  const historyBody = $("#income-history tbody");
+  historyBody.innerHTML = "";
+  events.forEach((e) => {
+    const row = createEl("tr");
+    const isSplit = e.kind === "split";
+    [
+      e.date,
+      e.symbol,
+      isSplit ? `Split ${formatSplitRatio(e.ratio)}` : "Dividend",
+      isSplit ? "—" : formatCurrency(e.perShare, e.currency),
+      e.shares.toLocaleString(),
+      isSplit ? "—" : formatCurrency(e.income, base),
+    ].forEach((text) => row.appendChild(createEl("td", null, text)));
+    historyBody.appendChild(row);
+  });
+  if (!events.length) {
+    const row = createEl("tr");
+    const cell = createEl("td", "muted tiny", "No dividends or splits while held.");
+    cell.colSpan = 6;
+    row.appendChild(cell);
+    historyBody.appendChild(row);
+  }
+}
+
+async function updateIncome() {
+  const status = $("#income-status");
+  const results = $("#income-results");
+  const token = ++incomeToken;
+  const symbols = getLedgerSymbols().filter((symbol) =>
+    transactions.some((tx) => tx.symbol === symbol && tx.type === "buy")
+  );
+  if (!symbols.length) {
+    results.hidden = true;
+    $("#income-splits").hidden = true;
+    status.textContent = "Record a buy to see dividend income.";
+    return;
+  }
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+  $("#income-load").hidden = corporateActionsEnabled();
+  if (!corporateActionsEnabled()) {
+    results.hidden = true;
+    $("#income-splits").hidden = true;
+    status.textContent =
+      "Dividends and splits need adjusted daily data: one extra request per holding, " +
+      "which Alpha Vantage may reserve for premium keys.";
+    return;
+  }
+
+  status.textContent = "Loading dividends and splits…";
+  try {
+    const [actions, currencies] = await Promise.all([
+      Promise.all(symbols.map((s) => fetchCorporateActions(s))),
+      resolveSymbolCurrencies(symbols),
+    ]);
+    const converters = await loadFxConverters(currencies);
+    if (token !== incomeToken) return;
+
+    renderSplitSuggestions(
+      symbols.flatMap((symbol, idx) => findUnrecordedSplits(symbol, actions[idx].splits))
+    );
+    renderIncome(computeIncome(symbols, actions, currencies, converters));
+    results.hidden = false;
+    status.textContent = getPriceHistoryOptions().full
+      ? ""
+      : "Covers about the last 100 trading days. Turn on full history in Settings " +
+        "for a complete year.";
+  } catch (e) {
+    console.error(e);
+    if (token !== incomeToken) return;
+    status.textContent = describeApiError(e, "Unable to load dividend history.");
+  }
+}
+
+function initIncome() {
+  $("#income-load").addEventListener("click", () => {
+    corporateActionsRequested = true;
+    updateIncome();
+    if (currentSearchSymbol) updateSearchChart();
+  });
+}
+
+// BENCHMARKS
+function normalizeBenchmark(raw) {
+  if (!raw || !Array.isArray(raw.components)) return null;
+  const components = raw.components
+    .map((c) => ({
+      symbol: String(c.symbol || "").toUpperCase(),
+      weight: Number(c.weight),
+    }))
+    .filter((c) => c.symbol && c.weight > 0);
+  if (!components.length) return null;
+
+  const total = components.reduce((sum, c) => sum + c.weight, 0);
+  return {
+    id: raw.id || createId(),
+    label: raw.label || components.map((c) => c.symbol).join("/"),
+    color: /^#[0-9a-f]{6}$/i.test(raw.color || "") ? raw.color : "#bfd7ff",
+    enabled: Boolean(raw.enabled),
+    components: components.map((c) => ({ ...c, weight: c.weight / total })),
+  };
+}
+
+function loadBenchmarksFromStorage() {
+  benchmarks = DEFAULT_BENCHMARKS.map(normalizeBenchmark);
+  try {
+    const raw = localStorage.getItem(BENCHMARKS_STORAGE_KEY);
+    if (!raw) return;
+    const arr = JSON.parse(raw);
+    if (Array.isArray(arr)) {
+      benchmarks = arr.map(normalizeBenchmark).filter(Boolean);
+    }
+  } catch (e) {
+    console.warn("Unable to read benchmarks from storage", e);
+  }
+}
+
+function saveBenchmarksToStorage() {
+  localStorage.setItem(BENCHMARKS_STORAGE_KEY, JSON.stringify(benchmarks));
+}
+
+function getEnabledBenchmarks() {
+  return benchmarks.filter((b) => b.enabled);
+}
+
+function getSearchBenchmarks() {
+  return sharedBenchmarks || getEnabledBenchmarks();
+}
+
+// Identifies a benchmark in a link by what it holds rather than by its label,
+// which is free text: "spy" for a single symbol, "spy~60_agg~40" for a blend.
+function benchmarkToken(benchmark) {
+  if (benchmark.components.length === 1) {
+    return benchmark.components[0].symbol.toLowerCase();
+  }
+  return benchmark.components
+    .map((c) => `${c.symbol.toLowerCase()}~${Math.round(c.weight * 1000) / 10}`)
+    .join("_");
+}
+
+// A token the recipient has no benchmark for becomes an unsaved one with the
+// same holdings, so a shared link shows what the sender saw.
+function benchmarkFromToken(token) {
+  const known = benchmarks.find((b) => benchmarkToken(b) === token);
+  if (known) return known;
+  const components = [];
+  for (const part of token.split("_")) {
+    const [symbol, weight = "1"] = part.toUpperCase().split("~");
+    if (!isValidSymbol(symbol) || !(Number(weight) > 0)) {
+      console.warn("Ignoring malformed benchmark in link", token);
+      return null;
+    }
+    components.push({ symbol, weight: Number(weight) });
+  }
+  return normalizeBenchmark({ color: "#ffd27f", enabled: true, components });
+}
+
+// Accepts "QQQ", "60 SPY, 40 AGG", "60% SPY / 40% AGG" or "SPY:60, AGG:40".
+// A bare symbol gets weight 1.
+function parseBenchmarkComponents(text) {
+  const parts = text
+    .split(/[,/+;]|\s{2,}/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const components = [];
+
+  for (const part of parts) {
+    const weightFirst = part.match(/^(\d+(?:\.\d+)?)\s*%?\s+([A-Za-z0-9.\-]+)$/);
+    const symbolFirst = part.match(
+      /^([A-Za-z0-9.\-]+)(?:\s*[:=\s]\s*(\d+(?:\.\d+)?)\s*%?)?$/
+    );
+    let component = null;
+    if (weightFirst) {
+      component = { symbol: weightFirst[2], weight: parseFloat(weightFirst[1]) };
+    } else if (symbolFirst) {
+      component = {
+        symbol: symbolFirst[1],
+        weight: symbolFirst[2] ? parseFloat(symbolFirst[2]) : 1,
+      };
+    }
+    if (!component || !isValidSymbol(component.symbol.toUpperCase())) return null;
+    components.push(component);
+  }
+  return components.length ? components : null;
+}
+
+// Daily-rebalanced blend: each day's return is the weighted average of the
+// component returns. Only dates every component traded on are kept.
+function blendSeries(seriesList, weights) {
+  const maps = seriesList.map(
+    (series) => new Map(series.map((row) => [row.date, row.close]))
+  );
+  const dates = seriesList[0]
+    .map((row) => row.date)
+    .filter((date) => maps.every((map) => map.has(date)));
+
+  let level = 100;
+  return dates.map((date, idx) => {
+    if (idx > 0) {
+      const prev = dates[idx - 1];
+      const ret = maps.reduce(
+        (sum, map, i) => sum + weights[i] * (map.get(date) / map.get(prev)),
+        0
+      );
+      level *= ret;
+    }
+    return { date, close: level };
+  });
+}
+
+async function loadBenchmarkSeries(benchmark) {
+  const { components } = benchmark;
+  if (components.length === 1) return fetchDailySeries(components[0].symbol);
+  const seriesList = await Promise.all(components.map((c) => fetchDailySeries(c.symbol)));
+  return blendSeries(seriesList, components.map((c) => c.weight));
+}
+
+async function loadBenchmarkLines(startDate, endDate, list = getEnabledBenchmarks()) {
+  const lines = [];
+  for (const benchmark of list) {
+    const series = await loadBenchmarkSeries(benchmark);
+    lines.push({
+      label: benchmark.label,
+      dataset: buildSeriesDataset(
+        series,
+        startDate,
+        endDate,
+        benchmark.label,
+        benchmark.color
+      ),
+      points: seriesToPoints(series, startDate, endDate),
+    });
+  }
+  return lines;
+}
+
+function describeBenchmark(benchmark) {
+  if (benchmark.components.length === 1) return benchmark.components[0].symbol;
+  return benchmark.components
+    .map((c) => `${Math.round(c.weight * 1000) / 10}% ${c.symbol}`)
+    .join(" / ");
+}
+
+// While a shared link's benchmarks are showing, the search page's toggles edit
+// that set instead of the saved one.
+function renderBenchmarkToggles() {
+  document.querySelectorAll("[data-benchmark-toggles]").forEach((group) => {
+    group.innerHTML = "";
+    group.appendChild(createEl("span", "toggle-label", "Compare to"));
+
+    const shared = group.closest("#search-page") ? sharedBenchmarks : null;
+    const listed = shared
+      ? benchmarks.concat(shared.filter((b) => !benchmarks.includes(b)))
+      : benchmarks;
+    listed.forEach((benchmark) => {
+      const label = createEl("label", "pill-toggle");
+      label.title = describeBenchmark(benchmark);
+      const input = createEl("input");
+      input.type = "checkbox";
+      input.checked = shared ? shared.includes(benchmark) : benchmark.enabled;
+      input.addEventListener("change", () => {
+        if (!shared) {
+          benchmark.enabled = input.checked;
+          handleBenchmarksChange();
+          return;
+        }
+        sharedBenchmarks = input.checked
+          ? listed.filter((b) => b === benchmark || shared.includes(b))
+          : shared.filter((b) => b !== benchmark);
+        renderBenchmarkToggles();
+        updateSearchChart();
+      });
+      const swatch = createEl("span", "swatch");
+      swatch.style.background = benchmark.color;
+      label.append(input, swatch, createEl("span", null, benchmark.label));
+      group.appendChild(label);
+    });
+
+    const manage = createEl("button", "link-btn", "Edit");
+    manage.type = "button";
+    manage.addEventListener("click", () => showPage("settings-page"));
+    group.appendChild(manage);
+
+    if (shared) {
+      const reset = createEl("button", "link-btn", "Use mine");
+      reset.type = "button";
+      reset.title = "Show your saved benchmarks instead of the shared link's";
+      reset.addEventListener("click", () => {
+        sharedBenchmarks = null;
+        renderBenchmarkToggles();
+        updateSearchChart();
+      });
+      group.appendChild(reset);
+    }
+  });
+}
+
+function renderBenchmarkManager() {
+  const list = $("#benchmark-list");
+  list.innerHTML = "";
+
+  if (!benchmarks.length) {
+    list.appendChild(createEl("li", "muted tiny", "No benchmarks. Add one below."));
+    return;
+  }
+
+  benchmarks.forEach((benchmark) => {
+    const li = createEl("li", "chip");
+    const color = createEl("input", "color-input");
+    color.type = "color";
+    color.value = benchmark.color;
+    color.setAttribute("aria-label", `Color for ${benchmark.label}`);
+    color.addEventListener("change", () => {
+      benchmark.color = color.value;
+      handleBenchmarksChange();
+    });
+
+    const removeBtn = createEl("button", "chip-remove", "×");
+    removeBtn.type = "button";
+    removeBtn.setAttribute("aria-label", `Remove benchmark ${benchmark.label}`);
+    removeBtn.addEventListener("click", () => {
+      benchmarks = benchmarks.filter((b) => b.id !== benchmark.id);
+      handleBenchmarksChange();
+    });
+
+    li.append(
+      color,
+      createEl("span", "chip-symbol", benchmark.label),
+      createEl("span", "chip-detail", describeBenchmark(benchmark)),
+      removeBtn
+    );
+    list.appendChild(li);
+  });
+}
+
+function handleBenchmarksChange() {
+  saveBenchmarksToStorage();
+  renderBenchmarkToggles();
+  renderBenchmarkManager();
+  updatePortfolioChart();
+  if (currentSearchSymbol) updateSearchChart();
+  if (!$("#backtest-results").hidden) runBacktest();
+}
+
+function handleBenchmarkFormSubmit(event) {
+  event.preventDefault();
+  const components = parseBenchmarkComponents($("#benchmark-symbols").value);
+  if (!components) {
+    alert('Enter a symbol like "QQQ" or a blend like "60 SPY, 40 AGG".');
+    return;
+  }
+
+  const benchmark = normalizeBenchmark({
+    label: $("#benchmark-label").value.trim(),
+    color: $("#benchmark-color").value,
+    enabled: true,
+    components,
+  });
+  benchmarks.push(benchmark);
+  event.target.reset();
+  handleBenchmarksChange();
+}
+
+// PORTFOLIO CHART
+async function updatePortfolioChart() {
+  const status = $("#portfolio-status");
+  const startInput = $("#portfolio-start");
+  const endInput = $("#portfolio-end");
+
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  status.textContent = "Loading data…";
+
+  try {
+    const calendarSeries = await fetchDailySeries(CALENDAR_SYMBOL);
+    const availableDates = calendarSeries.map((row) => row.date);
+
+    const { start, end } = deriveDateRange(
+      startInput,
+      endInput,
+      availableDates,
+      activeRangePresets.portfolio || undefined
+    );
+    if (!start || !end) {
+      status.textContent = "Not enough data yet.";
+      return;
+    }
+
+    const chartDates = sliceSeriesByDate(calendarSeries, start, end).map((row) => row.date);
+    const labels = chartDates.map(formatDateLabel);
+
+    const datasets = [];
+
+    let history = null;
+    if (transactions.length) {
+      history = await loadPortfolioHistory(chartDates);
+      const portfolioDs = buildPortfolioDataset(history, "rgba(191, 215, 255, 1)");
+      if (portfolioDs) datasets.push(portfolioDs);
+    }
+    portfolioHistory = history;
+    renderPortfolioSummary(history, start, end);
+    updateAllocation();
+    updateIncome();
+
+    const riskSubjects = [];
+    if (datasets.length) {
+      riskSubjects.push({
+        label: "Portfolio",
+        points: chartDates
+          .map((date, idx) => ({ date, value: datasets[0].data[idx] }))
+          .filter((point) => point.value !== null),
+      });
+    }
+    const riskBenchmarks = await loadBenchmarkLines(start, end);
+    riskBenchmarks.forEach((line) => datasets.push(line.dataset));
+
+    renderRiskTable(
+      $("#portfolio-risk-table"),
+      riskSubjects.concat(riskBenchmarks),
+      riskBenchmarks
+    );
+
+    if (portfolioChart) {
+      portfolioChart.destroy();
+    }
 
     const ctx = document.getElementById("portfolio-chart").getContext("2d");
     portfolioChart = new Chart(ctx, {
@@ -402,413 +4458,2791 @@ async function updatePortfolioChart() {
           legend: {
             labels: {
               color: "#cdd3eb",
-              font: {
-                family: "Space Grotesk",
-                size: 11,
-              },
+              font: {
+                family: "Space Grotesk",
+                size: 11,
+              },
+            },
+          },
+          tooltip: {
+            mode: "index",
+            intersect: false,
+          },
+        },
+        interaction: {
+          mode: "index",
+          intersect: false,
+        },
+        scales: {
+          x: {
+            ticks: { color: "#848ca3", maxTicksLimit: 7 },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+          y: {
+            ticks: { color: "#848ca3" },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+        },
+      },
+    });
+
+    if (!transactions.length) {
+      status.textContent =
+        "Add a few positions to see portfolio performance alongside the indices.";
+    } else {
+      status.textContent = "";
+    }
+  } catch (e) {
+    console.error(e);
+    status.textContent = describeApiError(
+      e,
+      "There was a problem loading data. Try again later."
+    );
+  }
+}
+
+// NEWS PAGE
+// Alpha Vantage ANDs the tickers in one NEWS_SENTIMENT call, so holdings are
+// fetched one call each, a batch at a time. "Load more" pages through stories
+// already fetched before it spends calls on the next batch.
+const NEWS_PAGE_SIZE = 8;
+const NEWS_TICKER_BATCH = API_LIMITS.perMinute;
+
+const portfolioNewsFeed = {
+  articles: [],
+  visible: NEWS_PAGE_SIZE,
+  loadMore: null,
+  pendingTickers: [],
+  loadedTickers: [],
+};
+const marketNewsFeed = { articles: [], visible: NEWS_PAGE_SIZE, loadMore: null };
+let newsRefreshToken = 0;
+
+function sentimentBucket(label) {
+  if (/bullish/i.test(label || "")) return "bullish";
+  if (/bearish/i.test(label || "")) return "bearish";
+  return "neutral";
+}
+
+// The same wire story often arrives from several outlets with the same headline.
+function dedupeArticles(articles) {
+  const seen = new Set();
+  return articles.filter((article) => {
+    const titleKey = article.title.toLowerCase().replace(/[^a-z0-9]/g, "");
+    const keys = [titleKey, article.url].filter(Boolean);
+    if (keys.some((key) => seen.has(key))) return false;
+    keys.forEach((key) => seen.add(key));
+    return true;
+  });
+}
+
+function getNewsFilters() {
+  return {
+    ticker: $("#news-filter-ticker").value,
+    sentiment: $("#news-filter-sentiment").value,
+    source: $("#news-filter-source").value,
+    topic: $("#news-filter-topic").value,
+  };
+}
+
+// With a ticker selected, sentiment means that ticker's sentiment.
+function articleMatchesFilters(article, filters) {
+  const tickerEntry = article.tickerSentiment.find((t) => t.ticker === filters.ticker);
+  if (filters.ticker && !tickerEntry) return false;
+  if (filters.source && article.source !== filters.source) return false;
+  if (filters.topic && !article.topics.some((t) => t.topic === filters.topic)) return false;
+  if (filters.sentiment) {
+    const label = tickerEntry ? tickerEntry.label : article.sentimentLabel;
+    if (sentimentBucket(label) !== filters.sentiment) return false;
+  }
+  return true;
+}
+
+function fillFilterSelect(select, values, allLabel) {
+  const current = select.value;
+  select.innerHTML = "";
+  const all = createEl("option", null, allLabel);
+  all.value = "";
+  select.appendChild(all);
+  values.forEach((value) => {
+    const option = createEl("option", null, value);
+    option.value = value;
+    select.appendChild(option);
+  });
+  select.value = values.includes(current) ? current : "";
+}
+
+function renderNewsFeeds() {
+  const articles = portfolioNewsFeed.articles.concat(marketNewsFeed.articles);
+  const unique = (list) => [...new Set(list)].sort((a, b) => a.localeCompare(b));
+  fillFilterSelect($("#news-filter-ticker"), getPortfolioSymbols().sort(), "All tickers");
+  const sources = unique(articles.map((a) => a.source));
+  fillFilterSelect($("#news-filter-source"), sources, "All sources");
+  fillFilterSelect(
+    $("#news-filter-topic"),
+    unique(articles.flatMap((a) => a.topics.map((t) => t.topic))),
+    "All topics"
+  );
+
+  const filters = getNewsFilters();
+  const options = {
+    matches: (article) => articleMatchesFilters(article, filters),
+    highlight: getPortfolioSymbols(),
+  };
+  renderNewsCards($("#portfolio-news"), portfolioNewsFeed, options);
+  renderNewsCards($("#market-news"), marketNewsFeed, options);
+}
+
+async function loadPortfolioNewsBatch(token) {
+  const feed = portfolioNewsFeed;
+  const status = $("#portfolio-news-status");
+  const batch = feed.pendingTickers.splice(0, NEWS_TICKER_BATCH);
+  const results = await Promise.allSettled(
+    batch.map((symbol) => fetchNews({ tickers: [symbol], limit: 50 }))
+  );
+  if (token !== newsRefreshToken) return;
+
+  let failure = null;
+  results.forEach((result) => {
+    if (result.status === "fulfilled") {
+      feed.articles = feed.articles.concat(result.value);
+    } else {
+      failure = failure || result.reason;
+    }
+  });
+  feed.loadedTickers = feed.loadedTickers.concat(batch);
+  feed.articles = dedupeArticles(
+    feed.articles.sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+  );
+  feed.loadMore = feed.pendingTickers.length
+    ? async () => {
+        await loadPortfolioNewsBatch(token);
+        if (token !== newsRefreshToken) return;
+        feed.visible += NEWS_PAGE_SIZE;
+        renderNewsFeeds();
+      }
+    : null;
+
+  const total = feed.loadedTickers.length + feed.pendingTickers.length;
+  const parts = [];
+  if (failure) {
+    console.error(failure);
+    parts.push(describeApiError(failure, "Some headlines could not be loaded."));
+  }
+  if (feed.pendingTickers.length) {
+    parts.push(`Covering ${feed.loadedTickers.length} of ${total} holdings so far.`);
+  } else if (!feed.articles.length && !failure) {
+    parts.push("No recent portfolio headlines found.");
+  }
+  status.textContent = parts.join(" ");
+  renderNewsSentiment();
+}
+
+async function refreshNewsPage() {
+  const token = ++newsRefreshToken;
+  const portfolioStatus = $("#portfolio-news-status");
+  const marketStatus = $("#market-news-status");
+
+  // Portfolio news
+  $("#news-portfolio-name").textContent = getActivePortfolio().name;
+  Object.assign(portfolioNewsFeed, {
+    articles: [],
+    visible: NEWS_PAGE_SIZE,
+    loadMore: null,
+    pendingTickers: getPortfolioSymbols(),
+    loadedTickers: [],
+  });
+  Object.assign(marketNewsFeed, { articles: [], visible: NEWS_PAGE_SIZE });
+  renderNewsFeeds();
+
+  if (!portfolio.length) {
+    portfolioStatus.textContent =
+      "Add tickers to your portfolio to see related headlines.";
+  } else {
+    portfolioStatus.textContent = "Loading headlines for your holdings…";
+    await loadPortfolioNewsBatch(token);
+    if (token !== newsRefreshToken) return;
+    renderNewsFeeds();
+  }
+
+  // Market news
+  marketStatus.textContent = "Loading market stories…";
+  try {
+    const articles = await fetchNews({
+      topics: ["financial_markets", "economy_macro"],
+      limit: 50,
+    });
+    if (token !== newsRefreshToken) return;
+    marketNewsFeed.articles = dedupeArticles(articles);
+    marketStatus.textContent =
+      articles.length === 0 ? "No recent market stories found." : "";
+  } catch (e) {
+    console.error(e);
+    marketStatus.textContent = describeApiError(e, "Unable to load market news right now.");
+  }
+  renderNewsFeeds();
+}
+
+// Ticker chips list the tickers in `highlight` first, then the most relevant.
+function createNewsCard(article, highlight = []) {
+  const card = createEl("article", "news-card");
+
+  const title = createEl("h3", "news-title");
+  title.textContent = article.title;
+
+  const meta = createEl("div", "news-meta");
+  const date = article.publishedAt.slice(0, 10);
+  meta.textContent = `${article.source}${date ? " • " + date : ""}`;
+
+  const tag = createEl(
+    "span",
+    `news-tag news-tag--${sentimentBucket(article.sentimentLabel)}`,
+    article.sentimentLabel.toUpperCase()
+  );
+
+  const tickers = createEl("div", "news-tickers");
+  article.tickerSentiment
+    .slice()
+    .sort(
+      (a, b) =>
+        highlight.includes(b.ticker) - highlight.includes(a.ticker) ||
+        (b.relevance || 0) - (a.relevance || 0)
+    )
+    .slice(0, 4)
+    .forEach((entry) => {
+      const sign = entry.score >= 0 ? "+" : "";
+      const score = entry.score === null ? "—" : `${sign}${entry.score.toFixed(2)}`;
+      const relevance =
+        entry.relevance === null ? "" : ` · rel ${entry.relevance.toFixed(2)}`;
+      const chip = createEl(
+        "span",
+        `news-ticker news-ticker--${sentimentBucket(entry.label)}`,
+        `${entry.ticker} ${score}${relevance}`
+      );
+      chip.title = `${entry.label || "Neutral"} sentiment toward ${entry.ticker}`;
+      tickers.appendChild(chip);
+    });
+
+  const summary = createEl("p", "muted tiny", article.summary);
+
+  const link = createEl("a", "news-link", "Open article ↗");
+  link.href = article.url || "#";
+  link.target = "_blank";
+  link.rel = "noopener noreferrer";
+
+  card.append(title, meta, tag, tickers, summary, link);
+  return card;
+}
+
+// `feed` is { articles, visible, loadMore }; loadMore, when set, fetches more
+// stories once every fetched one is on screen.
+function renderNewsCards(container, feed, { matches = () => true, highlight = [] } = {}) {
+  container.innerHTML = "";
+  const articles = feed.articles.filter(matches);
+
+  articles.slice(0, feed.visible).forEach((article) => {
+    container.appendChild(createNewsCard(article, highlight));
+  });
+
+  const canPage = feed.visible < articles.length;
+  if (!canPage && !feed.loadMore) return;
+
+  const wrapper = createEl("div", "news-more-wrapper");
+  const btn = createEl("button", "btn btn--ghost news-more-btn", "Load more");
+  btn.type = "button";
+  btn.addEventListener("click", async () => {
+    if (canPage) {
+      feed.visible += NEWS_PAGE_SIZE;
+      renderNewsCards(container, feed, { matches, highlight });
+      return;
+    }
+    btn.disabled = true;
+    btn.textContent = "Loading…";
+    await feed.loadMore();
+  });
+  wrapper.appendChild(btn);
+  container.appendChild(wrapper);
+}
+
+function initNewsFilters() {
+  $("#news-sentiment-subject").addEventListener("change", renderNewsSentiment);
+  const form = $("#news-filters");
+  form.addEventListener("change", renderNewsFeeds);
+  form.addEventListener("reset", () => setTimeout(renderNewsFeeds, 0));
+}
+
+
+// SENTIMENT TREND
+// Article sentiment toward a set of tickers, averaged per trading day and drawn
+// as bars under the price line. News published on a weekend or holiday counts
+// toward the next session.
+const sentimentCharts = new Map();
+const SENTIMENT_MIN_PAIRS = 5;
+
+// Each article's sentiment toward `tickers` (relevance-weighted when it names
+// several), averaged per calendar day.
+function aggregateSentimentByDay(articles, tickers) {
+  const days = new Map();
+  articles.forEach((article) => {
+    const entries = article.tickerSentiment.filter(
+      (t) => tickers.includes(t.ticker) && t.score !== null
+    );
+    const date = article.publishedAt.slice(0, 10);
+    if (!entries.length || !date) return;
+
+    const weights = entries.map((t) => t.relevance || 0);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const score = totalWeight
+      ? entries.reduce((sum, t, idx) => sum + t.score * weights[idx], 0) / totalWeight
+      : mean(entries.map((t) => t.score));
+
+    const day = days.get(date) || { date, total: 0, count: 0 };
+    day.total += score;
+    day.count += 1;
+    days.set(date, day);
+  });
+
+  return [...days.values()]
+    .map((day) => ({ date: day.date, score: day.total / day.count, count: day.count }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Moves each day onto the first trading date on or after it and re-averages.
+function alignSentimentToDates(daily, dates) {
+  const aligned = new Map();
+  daily.forEach((day) => {
+    const tradingDate = dates.find((d) => d >= day.date);
+    if (!tradingDate) return;
+    const slot = aligned.get(tradingDate) || { date: tradingDate, total: 0, count: 0 };
+    slot.total += day.score * day.count;
+    slot.count += day.count;
+    aligned.set(tradingDate, slot);
+  });
+  return new Map([...aligned].map(([date, slot]) => [date, slot.total / slot.count]));
+}
+
+// Correlation of daily sentiment with the same day's return, the next day's
+// (sentiment leading) and the previous day's (sentiment lagging).
+function sentimentLeadLag(sentimentByDate, pricePoints) {
+  const returns = computeDailyReturns(pricePoints);
+  const sentiment = [...sentimentByDate].map(([date, value]) => ({ date, value }));
+  // Re-dates each return `offset` sessions earlier, so it pairs with the
+  // sentiment of that earlier day.
+  const shifted = (offset) =>
+    returns
+      .map((r, idx) => ({ date: (returns[idx - offset] || {}).date, value: r.value }))
+      .filter((r) => r.date);
+  const correlate = (series) => {
+    const dates = new Set(series.map((r) => r.date));
+    const pairs = sentiment.filter((s) => dates.has(s.date)).length;
+    if (pairs < SENTIMENT_MIN_PAIRS) return null;
+    return betaAndCorrelation(sentiment, series).correlation;
+  };
+  return {
+    sameDay: correlate(returns),
+    nextDay: correlate(shifted(1)),
+    prevDay: correlate(shifted(-1)),
+  };
+}
+
+// `trend.pricePoints` is [{ date, value }] in date order (closes or an index).
+function renderSentimentTrend(canvas, statusEl, trend) {
+  const { articles, tickers, pricePoints, priceLabel } = trend;
+  const previous = sentimentCharts.get(canvas.id);
+  if (previous) previous.destroy();
+  sentimentCharts.delete(canvas.id);
+
+  const daily = aggregateSentimentByDay(articles, tickers);
+  canvas.parentElement.hidden = !daily.length;
+  if (!daily.length) {
+    statusEl.textContent = "No scored headlines to chart yet.";
+    return;
+  }
+
+  // Start a few sessions before the first story so the price context shows.
+  const dates = pricePoints.map((p) => p.date);
+  const firstIdx = Math.max(0, dates.findIndex((d) => d >= daily[0].date) - 5);
+  const points = pricePoints.slice(firstIdx);
+  const sentimentByDate = alignSentimentToDates(daily, points.map((p) => p.date));
+  const scores = points.map((p) =>
+    sentimentByDate.has(p.date) ? sentimentByDate.get(p.date) : null
+  );
+
+  const options = darkChartOptions();
+  options.scales.price = { ...options.scales.y, position: "left" };
+  options.scales.sentiment = {
+    position: "right",
+    suggestedMin: -0.5,
+    suggestedMax: 0.5,
+    ticks: { color: "#848ca3" },
+    grid: { display: false },
+  };
+  delete options.scales.y;
+
+  sentimentCharts.set(
+    canvas.id,
+    new Chart(canvas.getContext("2d"), {
+      type: "bar",
+      data: {
+        labels: points.map((p) => formatDateLabel(p.date)),
+        datasets: [
+          {
+            type: "line",
+            label: priceLabel,
+            data: points.map((p) => p.value),
+            borderColor: "rgba(191, 215, 255, 1)",
+            borderWidth: 1.6,
+            pointRadius: 0,
+            yAxisID: "price",
+          },
+          {
+            label: "Sentiment",
+            data: scores,
+            backgroundColor: scores.map((s) =>
+              s !== null && s < 0 ? CANDLE_DOWN_COLOR : CANDLE_UP_COLOR
+            ),
+            yAxisID: "sentiment",
+          },
+        ],
+      },
+      options,
+    })
+  );
+
+  const { sameDay, nextDay, prevDay } = sentimentLeadLag(sentimentByDate, points);
+  statusEl.textContent =
+    sameDay === null
+      ? `Sentiment on ${sentimentByDate.size} trading day(s); ` +
+        `${SENTIMENT_MIN_PAIRS} are needed to compare it with returns.`
+      : `Correlation with returns: same day ${formatRatio(sameDay)} • ` +
+        `next day ${formatRatio(nextDay)} (sentiment leads) • ` +
+        `previous day ${formatRatio(prevDay)} (sentiment lags)`;
+}
+
+async function renderNewsSentiment() {
+  const select = $("#news-sentiment-subject");
+  const status = $("#news-sentiment-status");
+  const loaded = portfolioNewsFeed.loadedTickers;
+  fillFilterSelect(select, loaded, "Whole portfolio");
+  if (!loaded.length) {
+    $("#news-sentiment-chart").parentElement.hidden = true;
+    status.textContent = "Add holdings to chart their news sentiment.";
+    return;
+  }
+
+  try {
+    const ticker = select.value;
+    let points;
+    if (ticker) {
+      const series = await fetchDailySeries(ticker);
+      points = series.map((row) => ({ date: row.date, value: row.close }));
+    } else {
+      const calendar = await fetchDailySeries(CALENDAR_SYMBOL);
+      const dates = calendar.map((row) => row.date);
+      const index = buildLedgerIndex((await loadPortfolioHistory(dates)).rows);
+      points = dates
+        .map((date, idx) => ({ date, value: index[idx] }))
+        .filter((p) => p.value !== null);
+    }
+    renderSentimentTrend($("#news-sentiment-chart"), status, {
+      articles: portfolioNewsFeed.articles,
+      tickers: ticker ? [ticker] : loaded,
+      pricePoints: points,
+      priceLabel: ticker ? `${ticker} close` : "Portfolio index",
+    });
+  } catch (e) {
+    console.error(e);
+    status.textContent = describeApiError(e, "Unable to chart sentiment right now.");
+  }
+}
+
+// SYMBOL PICKER
+// Type-ahead over SYMBOL_SEARCH. Lookups are debounced (each distinct query is
+// one API call, cached for a month) and an empty input lists recent picks.
+const SYMBOL_PICKER_MIN_QUERY = 2;
+const SYMBOL_PICKER_DEBOUNCE_MS = 350;
+const RECENT_SYMBOLS_LIMIT = 8;
+
+function loadRecentSymbols() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_SYMBOLS_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored.filter((m) => m && m.symbol) : [];
+  } catch (e) {
+    console.warn("Unable to read recent symbols", e);
+    return [];
+  }
+}
+
+function rememberSymbol(match) {
+  rememberSymbolCurrency(match.symbol.toUpperCase(), match.currency);
+  const recent = [match, ...loadRecentSymbols().filter((m) => m.symbol !== match.symbol)];
+  localStorage.setItem(
+    RECENT_SYMBOLS_STORAGE_KEY,
+    JSON.stringify(recent.slice(0, RECENT_SYMBOLS_LIMIT))
+  );
+}
+
+function describeMatch(match) {
+  return [match.type, match.region, match.currency].filter(Boolean).join(" • ");
+}
+
+// Turns `input` into a combobox. Returns { input, selected, open, reset };
+// `selected` holds the chosen match until the text is edited again.
+function attachSymbolPicker(input, { onPick = () => {} } = {}) {
+  const list = createEl("ul", "symbol-picker");
+  list.id = `${input.id}-options`;
+  list.hidden = true;
+  list.setAttribute("role", "listbox");
+  input.parentElement.classList.add("symbol-picker-anchor");
+  input.after(list);
+  input.setAttribute("role", "combobox");
+  input.setAttribute("aria-autocomplete", "list");
+  input.setAttribute("aria-controls", list.id);
+  input.setAttribute("aria-expanded", "false");
+
+  const picker = { input, selected: null };
+  let options = [];
+  let active = -1;
+  let timer = null;
+  let token = 0;
+
+  function close() {
+    list.hidden = true;
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+    active = -1;
+  }
+
+  function highlight(idx) {
+    active = idx;
+    list.querySelectorAll("[role=option]").forEach((li, i) => {
+      li.classList.toggle("symbol-picker-option--active", i === idx);
+      li.setAttribute("aria-selected", String(i === idx));
+      if (i === idx) {
+        input.setAttribute("aria-activedescendant", li.id);
+        li.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  function choose(match) {
+    picker.selected = match;
+    input.value = match.symbol;
+    rememberSymbol(match);
+    close();
+    onPick(match);
+  }
+
+  function render(matches, heading) {
+    options = matches;
+    list.innerHTML = "";
+    if (heading) list.appendChild(createEl("li", "symbol-picker-heading", heading));
+    matches.forEach((match, idx) => {
+      const li = createEl("li", "symbol-picker-option");
+      li.id = `${list.id}-${idx}`;
+      li.setAttribute("role", "option");
+      const top = createEl("div", "symbol-picker-top");
+      top.append(
+        createEl("strong", null, match.symbol),
+        createEl("span", "symbol-picker-name", match.name || "")
+      );
+      li.append(top, createEl("div", "muted tiny", describeMatch(match)));
+      li.addEventListener("click", () => choose(match));
+      list.appendChild(li);
+    });
+    list.hidden = !matches.length && !heading;
+    input.setAttribute("aria-expanded", String(!list.hidden));
+    highlight(-1);
+  }
+
+  function showRecent() {
+    const recent = loadRecentSymbols();
+    if (recent.length) render(recent, "Recent");
+    else close();
+  }
+
+  async function lookup(query) {
+    const current = ++token;
+    try {
+      const matches = await searchSymbols(query);
+      if (current === token) render(matches, matches.length ? null : "No matches");
+    } catch (e) {
+      console.error(e);
+      if (current !== token) return;
+      render([], describeApiError(e, "Search is unavailable right now."));
+    }
+  }
+
+  input.addEventListener("input", () => {
+    picker.selected = null;
+    clearTimeout(timer);
+    token += 1;
+    const query = input.value.trim();
+    if (query.length < SYMBOL_PICKER_MIN_QUERY) {
+      showRecent();
+      return;
+    }
+    timer = setTimeout(() => lookup(query), SYMBOL_PICKER_DEBOUNCE_MS);
+  });
+
+  input.addEventListener("focus", () => {
+    if (!input.value.trim()) showRecent();
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (list.hidden) {
+        if (options.length) render(options);
+        return;
+      }
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      highlight((active + step + options.length) % options.length);
+    } else if (e.key === "Enter" && !list.hidden && active >= 0) {
+      e.preventDefault();
+      choose(options[active]);
+    } else if (e.key === "Escape" && !list.hidden) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  // Keep focus in the input so a click on an option isn't lost to blur.
+  list.addEventListener("mousedown", (e) => e.preventDefault());
+  input.addEventListener("blur", close);
+
+  picker.open = (matches) => {
+    input.focus();
+    render(matches, matches.length ? "Did you mean" : "No matches");
+  };
+  picker.reset = () => {
+    picker.selected = null;
+    close();
+  };
+  return picker;
+}
+
+// The match the user picked or, failing that, the one listing whose symbol
+// equals the typed text (or the only match). Otherwise opens the picker on the
+// candidates and returns null.
+async function resolvePickedSymbol(picker) {
+  if (picker.selected) return picker.selected;
+
+  const query = picker.input.value.trim();
+  const matches = await searchSymbols(query);
+  const match =
+    matches.find((m) => m.symbol.toUpperCase() === query.toUpperCase()) ||
+    (matches.length === 1 ? matches[0] : null);
+  if (!match) {
+    picker.open(matches);
+    return null;
+  }
+  picker.selected = match;
+  rememberSymbol(match);
+  return match;
+}
+
+// SEARCH PAGE
+async function handleSearchSubmit(event) {
+  event.preventDefault();
+  const query = $("#search-input").value.trim();
+  if (!query) return;
+
+  const titleEl = $("#search-result-title");
+  const subtitleEl = $("#search-result-subtitle");
+  const statsGrid = $("#company-stats");
+  const status = $("#search-status");
+  const newsSubtitle = $("#search-news-subtitle");
+  const newsContainer = $("#search-news");
+  const newsStatus = $("#search-news-status");
+
+  status.textContent = "Searching…";
+
+  try {
+    const match = await resolvePickedSymbol(searchPicker);
+    if (!match) {
+      status.textContent = "Pick a listing from the suggestions.";
+      return;
+    }
+    const symbol = match.symbol.toUpperCase();
+
+    statsGrid.innerHTML = "";
+    newsContainer.innerHTML = "";
+    newsStatus.textContent = "";
+    currentSearchSymbol = symbol;
+    renderIndicatorChips();
+
+    const [overview, quote] = await Promise.all([
+      fetchOverview(symbol),
+      fetchGlobalQuote(symbol),
+    ]);
+
+    const companyName = overview.name || match.name || symbol;
+    titleEl.textContent = companyName;
+    subtitleEl.textContent = `${symbol} • ${
+      overview.sector || "Unknown sector"
+    } • ${overview.industry || "Unknown industry"}`;
+
+    const currency = overview.currency || match.currency || "USD";
+    rememberSymbolCurrency(symbol, currency);
+    const stats = [
+      { label: "Price", value: formatCurrency(quote.price, currency) },
+      {
+        label: "Market Cap",
+        value: formatCompactCurrency(overview.marketCap, currency),
+      },
+      { label: "P/E", value: formatRatio(overview.peRatio) },
+      { label: "EPS", value: formatRatio(overview.eps) },
+      { label: "Beta (reported)", value: formatRatio(overview.beta) },
+      { label: "Dividend Yield", value: formatPercent(overview.dividendYield, false) },
+      { label: "52w High", value: formatCurrency(overview.week52High, currency) },
+      { label: "52w Low", value: formatCurrency(overview.week52Low, currency) },
+    ];
+
+    stats.forEach(({ label, value }) => {
+      const dt = createEl("dt", null, label);
+      const dd = createEl("dd", null, value);
+      const row = createEl("div", "stat-row");
+      row.append(dt, dd);
+      statsGrid.append(row);
+    });
+
+    // Performance chart
+    await updateSearchChart();
+    renderFinancials();
+
+    // News for ticker
+    newsSubtitle.textContent = `Headlines mentioning ${symbol}.`;
+    newsStatus.textContent = "Loading headlines…";
+    try {
+      const articles = await fetchNews({ tickers: [symbol], limit: 50 });
+      const feed = {
+        articles: dedupeArticles(articles),
+        visible: NEWS_PAGE_SIZE,
+        loadMore: null,
+      };
+      renderNewsCards(newsContainer, feed, { highlight: [symbol] });
+      const series = await fetchDailySeries(symbol);
+      renderSentimentTrend($("#search-sentiment-chart"), $("#search-sentiment-status"), {
+        articles: feed.articles,
+        tickers: [symbol],
+        pricePoints: series.map((row) => ({ date: row.date, value: row.close })),
+        priceLabel: `${symbol} close`,
+      });
+      newsStatus.textContent = articles.length ? "" : "No recent headlines found.";
+    } catch (e) {
+      console.error(e);
+      newsStatus.textContent = describeApiError(e, "Unable to load news for this ticker.");
+    }
+
+    status.textContent = "";
+  } catch (e) {
+    console.error(e);
+    $("#search-status").textContent = describeApiError(
+      e,
+      "There was a problem searching. Try again later."
+    );
+  }
+}
+
+async function updateSearchChart() {
+  const status = $("#search-status");
+  const startInput = $("#search-start");
+  const endInput = $("#search-end");
+
+  if (!currentSearchSymbol) {
+    status.textContent = "Search for a ticker to see its performance.";
+    return;
+  }
+
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  status.textContent = "Loading chart…";
+
+  try {
+    const calendarSeries = await fetchDailySeries(CALENDAR_SYMBOL);
+    const availableDates = calendarSeries.map((row) => row.date);
+    const { start, end } = deriveDateRange(
+      startInput,
+      endInput,
+      availableDates,
+      activeRangePresets.search || undefined
+    );
+    syncRoute();
+
+    const labels = sliceSeriesByDate(calendarSeries, start, end).map((row) =>
+      formatDateLabel(row.date)
+    );
+
+    const datasets = [];
+
+    // Main stock
+    const stockSeries = await fetchDailySeries(currentSearchSymbol);
+    const stockDataset = buildSeriesDataset(
+      stockSeries,
+      start,
+      end,
+      currentSearchSymbol,
+      "rgba(191, 215, 255, 1)"
+    );
+    datasets.push(stockDataset);
+
+    const indicators = getIndicatorsFor(currentSearchSymbol);
+    const inRangeRows = sliceSeriesByDate(stockSeries, start, end);
+    const base = inRangeRows.length ? inRangeRows[0].close : 1;
+    const overlays = buildIndicatorOverlays(
+      stockSeries,
+      start,
+      end,
+      indicators,
+      searchChartMode === "relative" ? (v) => (v / base) * 100 : undefined
+    ).datasets;
+    renderIndicatorPanes(stockSeries, start, end, indicators);
+
+    const riskBenchmarks = await loadBenchmarkLines(start, end, getSearchBenchmarks());
+    riskBenchmarks.forEach((line) => datasets.push(line.dataset));
+
+    const stockPoints = seriesToPoints(stockSeries, start, end);
+    renderRiskTable(
+      $("#search-risk-table"),
+      [{ label: currentSearchSymbol, points: stockPoints }].concat(riskBenchmarks),
+      riskBenchmarks
+    );
+
+    if (searchChart) {
+      searchChart.destroy();
+    }
+    if (searchVolumeChart) {
+      searchVolumeChart.destroy();
+      searchVolumeChart = null;
+    }
+    $("#search-volume-shell").hidden = searchChartMode === "relative";
+
+    if (searchChartMode !== "relative") {
+      renderSearchPriceCharts(inRangeRows, overlays);
+      status.textContent = "Benchmarks are shown in relative mode only.";
+      return;
+    }
+
+    const ctx = document.getElementById("search-chart").getContext("2d");
+    searchChart = new Chart(ctx, {
+      type: "line",
+      data: { labels, datasets: datasets.concat(overlays) },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            labels: {
+              color: "#cdd3eb",
+              font: { family: "Space Grotesk", size: 11 },
+            },
+          },
+          tooltip: { mode: "index", intersect: false },
+        },
+        interaction: { mode: "index", intersect: false },
+        scales: {
+          x: {
+            ticks: { color: "#848ca3", maxTicksLimit: 7 },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+          y: {
+            ticks: { color: "#848ca3" },
+            grid: { color: "rgba(255,255,255,0.05)" },
+          },
+        },
+      },
+    });
+    // Without adjusted history the main line is price only, so the
+    // dividends-reinvested line joins it once dividend data has been asked for.
+    if (corporateActionsRequested && !getPriceHistoryOptions().adjusted) {
+      addTotalReturnLine(searchChart, currentSearchSymbol, start, end);
+    }
+
+    status.textContent = "";
+  } catch (e) {
+    console.error(e);
+    status.textContent = describeApiError(
+      e,
+      "There was a problem loading performance data for this ticker."
+    );
+  }
+}
+
+// SEARCH PRICE MODE
+const CANDLE_UP_COLOR = "#9cdbba";
+const CANDLE_DOWN_COLOR = "#ff6b81";
+
+// Draws candlesticks or OHLC bars over a floating-bar dataset that only
+// exists to give Chart.js the scale and tooltips.
+const ohlcPlugin = {
+  id: "ohlc",
+  afterDatasetsDraw(chart, args, options) {
+    const bars = options.bars || [];
+    if (!bars.length) return;
+
+    const { ctx } = chart;
+    const { x, y } = chart.scales;
+    const slot = x.width / bars.length;
+    const bodyWidth = Math.max(1, Math.min(12, slot * 0.6));
+
+    ctx.save();
+    ctx.lineWidth = 1;
+    bars.forEach((bar, idx) => {
+      if (bar.high === null || bar.low === null || bar.open === null) return;
+      const cx = x.getPixelForValue(idx);
+      const color = bar.close >= bar.open ? CANDLE_UP_COLOR : CANDLE_DOWN_COLOR;
+      const open = y.getPixelForValue(bar.open);
+      const close = y.getPixelForValue(bar.close);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+
+      ctx.beginPath();
+      ctx.moveTo(cx, y.getPixelForValue(bar.high));
+      ctx.lineTo(cx, y.getPixelForValue(bar.low));
+      if (options.style === "ohlc") {
+        ctx.moveTo(cx - bodyWidth / 2, open);
+        ctx.lineTo(cx, open);
+        ctx.moveTo(cx, close);
+        ctx.lineTo(cx + bodyWidth / 2, close);
+      }
+      ctx.stroke();
+
+      if (options.style !== "ohlc") {
+        const top = Math.min(open, close);
+        const height = Math.max(1, Math.abs(close - open));
+        ctx.fillRect(cx - bodyWidth / 2, top, bodyWidth, height);
+      }
+    });
+    ctx.restore();
+  },
+};
+
+function darkChartOptions({ legend = true, formatY = null } = {}) {
+  return {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: {
+        display: legend,
+        labels: {
+          color: "#cdd3eb",
+          font: { family: "Space Grotesk", size: 11 },
+        },
+      },
+      tooltip: { mode: "index", intersect: false },
+    },
+    interaction: { mode: "index", intersect: false },
+    scales: {
+      x: {
+        ticks: { color: "#848ca3", maxTicksLimit: 7 },
+        grid: { color: "rgba(255,255,255,0.05)" },
+      },
+      y: {
+        ticks: formatY ? { color: "#848ca3", callback: formatY } : { color: "#848ca3" },
+        grid: { color: "rgba(255,255,255,0.05)" },
+      },
+    },
+  };
+}
+
+function renderSearchPriceCharts(rows, overlays = []) {
+  const labels = rows.map((row) => formatDateLabel(row.date));
+  const hasRange = (row) => row.high !== null && row.low !== null;
+  const currency = getSymbolCurrency(currentSearchSymbol);
+  const price = (value) => formatCurrency(value, currency);
+
+  const priceOptions = darkChartOptions({
+    legend: overlays.length > 0,
+    formatY: price,
+  });
+  // The OHLC bars draw themselves; only indicator overlays get legend entries.
+  priceOptions.plugins.legend.labels.filter = (item) => item.datasetIndex !== 0;
+  priceOptions.plugins.ohlc = { bars: rows, style: searchChartMode };
+  priceOptions.plugins.tooltip.callbacks = {
+    label: (item) => {
+      const row = rows[item.dataIndex];
+      if (item.datasetIndex !== 0) {
+        return `${item.dataset.label}: ${price(item.parsed.y)}`;
+      }
+      return [
+        `O ${price(row.open)}  H ${price(row.high)}`,
+        `L ${price(row.low)}  C ${price(row.close)}`,
+      ];
+    },
+  };
+
+  const priceCtx = document.getElementById("search-chart").getContext("2d");
+  searchChart = new Chart(priceCtx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: currentSearchSymbol,
+          data: rows.map((row) =>
+            hasRange(row) ? [row.low, row.high] : [row.close, row.close]
+          ),
+          backgroundColor: "transparent",
+          borderWidth: 0,
+          grouped: false,
+        },
+        ...overlays,
+      ],
+    },
+    options: priceOptions,
+    plugins: [ohlcPlugin],
+  });
+
+  const volumeOptions = darkChartOptions({
+    legend: false,
+    formatY: (value) => Number(value).toLocaleString(undefined, { notation: "compact" }),
+  });
+  volumeOptions.scales.x.ticks.display = false;
+
+  const volumeCtx = document.getElementById("search-volume-chart").getContext("2d");
+  searchVolumeChart = new Chart(volumeCtx, {
+    type: "bar",
+    data: {
+      labels,
+      datasets: [
+        {
+          label: "Volume",
+          data: rows.map((row) => row.volume),
+          backgroundColor: rows.map((row) =>
+            row.open !== null && row.close < row.open ? CANDLE_DOWN_COLOR : CANDLE_UP_COLOR
+          ),
+        },
+      ],
+    },
+    options: volumeOptions,
+  });
+}
+
+function initSearchChartMode() {
+  const buttons = document.querySelectorAll("[data-chart-mode]");
+  buttons.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      searchChartMode = btn.dataset.chartMode;
+      buttons.forEach((b) =>
+        b.classList.toggle("pill-btn--active", b.dataset.chartMode === searchChartMode)
+      );
+      updateSearchChart();
+    });
+  });
+}
+
+// SEARCH FINANCIALS
+// Each row's `value(rows, i, lookback)` reads period i of a newest-first list;
+// `lookback` is how many periods back the same period a year earlier sits.
+const FINANCIALS_COLUMNS = { annual: 5, quarterly: 8 };
+
+function safeRatio(numerator, denominator) {
+  if (numerator === null || numerator === undefined || !denominator) return null;
+  return numerator / denominator;
+}
+
+function yearOverYear(rows, i, lookback, key) {
+  const prior = rows[i + lookback];
+  if (!prior || rows[i][key] === null || !prior[key]) return null;
+  // Measured against |prior| so recovering from a loss reads as growth.
+  return (rows[i][key] - prior[key]) / Math.abs(prior[key]);
+}
+
+const figure = (key) => (rows, i) => rows[i][key];
+const yoy = (key) => (rows, i, lookback) => yearOverYear(rows, i, lookback, key);
+
+const FINANCIALS_TABS = {
+  income: {
+    load: (symbol) => fetchStatement(symbol, "income"),
+    rows: [
+      { label: "Revenue", value: figure("revenue"), format: formatCompactCurrency },
+      { label: "Revenue growth (YoY)", value: yoy("revenue"), format: formatPercent },
+      {
+        label: "Gross profit",
+        value: figure("grossProfit"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Gross margin",
+        value: (rows, i) => safeRatio(rows[i].grossProfit, rows[i].revenue),
+        format: (v) => formatPercent(v, false),
+      },
+      {
+        label: "Operating income",
+        value: figure("operatingIncome"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Operating margin",
+        value: (rows, i) => safeRatio(rows[i].operatingIncome, rows[i].revenue),
+        format: (v) => formatPercent(v, false),
+      },
+      { label: "Net income", value: figure("netIncome"), format: formatCompactCurrency },
+      {
+        label: "Net margin",
+        value: (rows, i) => safeRatio(rows[i].netIncome, rows[i].revenue),
+        format: (v) => formatPercent(v, false),
+      },
+      {
+        label: "Net income growth (YoY)",
+        value: yoy("netIncome"),
+        format: formatPercent,
+      },
+      { label: "EBITDA", value: figure("ebitda"), format: formatCompactCurrency },
+    ],
+  },
+  balance: {
+    load: (symbol) => fetchStatement(symbol, "balance"),
+    rows: [
+      {
+        label: "Total assets",
+        value: figure("totalAssets"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Total liabilities",
+        value: figure("totalLiabilities"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Shareholder equity",
+        value: figure("totalEquity"),
+        format: formatCompactCurrency,
+      },
+      { label: "Cash", value: figure("cash"), format: formatCompactCurrency },
+      { label: "Total debt", value: figure("totalDebt"), format: formatCompactCurrency },
+      {
+        label: "Debt / equity",
+        value: (rows, i) => safeRatio(rows[i].totalDebt, rows[i].totalEquity),
+        format: formatRatio,
+      },
+      {
+        label: "Net debt",
+        value: (rows, i) =>
+          rows[i].totalDebt === null || rows[i].cash === null
+            ? null
+            : rows[i].totalDebt - rows[i].cash,
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Current ratio",
+        value: (rows, i) => safeRatio(rows[i].currentAssets, rows[i].currentLiabilities),
+        format: formatRatio,
+      },
+    ],
+  },
+  cashFlow: {
+    load: (symbol) => fetchStatement(symbol, "cashFlow"),
+    rows: [
+      {
+        label: "Operating cash flow",
+        value: figure("operatingCashflow"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Operating cash flow growth (YoY)",
+        value: yoy("operatingCashflow"),
+        format: formatPercent,
+      },
+      {
+        label: "Capital expenditures",
+        value: figure("capitalExpenditures"),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Free cash flow",
+        value: (rows, i) =>
+          rows[i].operatingCashflow === null
+            ? null
+            : rows[i].operatingCashflow - (rows[i].capitalExpenditures || 0),
+        format: formatCompactCurrency,
+      },
+      {
+        label: "Dividends paid",
+        value: figure("dividendsPaid"),
+        format: formatCompactCurrency,
+      },
+      { label: "Buybacks", value: figure("buybacks"), format: formatCompactCurrency },
+    ],
+  },
+  earnings: {
+    load: (symbol) => fetchEarnings(symbol),
+    rows: [
+      { label: "Reported EPS", value: figure("reportedEPS"), format: formatRatio },
+      { label: "EPS growth (YoY)", value: yoy("reportedEPS"), format: formatPercent },
+      {
+        label: "Estimated EPS",
+        value: figure("estimatedEPS"),
+        format: formatRatio,
+        quarterlyOnly: true,
+      },
+      {
+        label: "Surprise",
+        value: figure("surprise"),
+        format: formatRatio,
+        quarterlyOnly: true,
+      },
+      {
+        label: "Surprise %",
+        value: figure("surprisePercent"),
+        format: formatPercent,
+        quarterlyOnly: true,
+      },
+    ],
+  },
+};
+
+function describeFiscalPeriod(date, period) {
+  const parsed = new Date(`${date}T00:00:00`);
+  if (Number.isNaN(parsed.getTime())) return date || "—";
+  if (period === "annual") return `FY${parsed.getFullYear()}`;
+  return parsed.toLocaleString(undefined, { month: "short", year: "numeric" });
+}
+
+// Inline SVG polyline over the non-missing values, oldest first.
+function createSparkline(values) {
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const width = 72;
+  const height = 20;
+  const points = values
+    .map((value, i) => ({ value, i }))
+    .filter((p) => p.value !== null && Number.isFinite(p.value));
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  svg.setAttribute("aria-hidden", "true");
+  if (points.length < 2) return svg;
+
+  const min = Math.min(...points.map((p) => p.value));
+  const max = Math.max(...points.map((p) => p.value));
+  const span = max - min || 1;
+  const step = width / Math.max(values.length - 1, 1);
+  const coords = points.map((p) => {
+    const y = height - 2 - ((p.value - min) / span) * (height - 4);
+    return `${(p.i * step).toFixed(1)},${y.toFixed(1)}`;
+  });
+  const line = document.createElementNS(SVG_NS, "polyline");
+  line.setAttribute("points", coords.join(" "));
+  const trend = points[points.length - 1].value - points[0].value;
+  svg.setAttribute("class", `sparkline ${signedClass(trend) || ""}`.trim());
+  svg.appendChild(line);
+  return svg;
+}
+
+function renderFinancialsTable(table, data) {
+  const { tab, period } = financialsView;
+  const rows = data[period] || [];
+  const shown = rows.slice(0, FINANCIALS_COLUMNS[period]);
+  const lookback = period === "annual" ? 1 : 4;
+  table.innerHTML = "";
+
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  headRow.append(createEl("th", null, "Metric"), createEl("th", null, "Trend"));
+  // Oldest on the left so the table reads the same way as the sparklines.
+  const order = shown.map((_, i) => shown.length - 1 - i);
+  order.forEach((i) => {
+    const label = describeFiscalPeriod(shown[i].fiscalDateEnding, period);
+    headRow.appendChild(createEl("th", null, label));
+  });
+  head.appendChild(headRow);
+
+  const body = createEl("tbody");
+  FINANCIALS_TABS[tab].rows
+    .filter((row) => period === "quarterly" || !row.quarterlyOnly)
+    .forEach((row) => {
+      const values = order.map((i) => row.value(rows, i, lookback));
+      const tr = createEl("tr");
+      const trendCell = createEl("td");
+      trendCell.appendChild(createSparkline(values));
+      tr.append(createEl("td", null, row.label), trendCell);
+      values.forEach((value) => tr.appendChild(createEl("td", null, row.format(value))));
+      body.appendChild(tr);
+    });
+
+  table.append(head, body);
+}
+
+async function renderFinancials() {
+  const table = $("#financials-table");
+  const status = $("#financials-status");
+  const symbol = currentSearchSymbol;
+  const token = ++financialsToken;
+  table.innerHTML = "";
+  if (!symbol) {
+    status.textContent = "Search for a ticker to see its financial statements.";
+    return;
+  }
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  status.textContent = "Loading financials…";
+  try {
+    const data = await FINANCIALS_TABS[financialsView.tab].load(symbol);
+    if (token !== financialsToken) return;
+    if (!(data[financialsView.period] || []).length) {
+      status.textContent = `No ${financialsView.period} figures reported for ${symbol}.`;
+      return;
+    }
+    renderFinancialsTable(table, data);
+    status.textContent = "";
+  } catch (e) {
+    console.error(e);
+    if (token !== financialsToken) return;
+    status.textContent = describeApiError(e, "Unable to load financials for this ticker.");
+  }
+}
+
+function initFinancials() {
+  const tabs = document.querySelectorAll("[data-financials-tab]");
+  const periods = document.querySelectorAll("[data-financials-period]");
+  tabs.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      financialsView.tab = btn.dataset.financialsTab;
+      tabs.forEach((b) =>
+        b.classList.toggle(
+          "pill-btn--active",
+          b.dataset.financialsTab === financialsView.tab
+        )
+      );
+      renderFinancials();
+    });
+  });
+  periods.forEach((btn) => {
+    btn.addEventListener("click", () => {
+      financialsView.period = btn.dataset.financialsPeriod;
+      periods.forEach((b) =>
+        b.classList.toggle(
+          "pill-btn--active",
+          b.dataset.financialsPeriod === financialsView.period
+        )
+      );
+      renderFinancials();
+    });
+  });
+}
+
+// SEARCH INDICATORS
+const INDICATOR_TYPES = {
+  sma: { label: "SMA", defaultPeriod: 50, pane: "overlay" },
+  ema: { label: "EMA", defaultPeriod: 20, pane: "overlay" },
+  bollinger: { label: "Bollinger", defaultPeriod: 20, pane: "overlay" },
+  rsi: { label: "RSI", defaultPeriod: 14, pane: "rsi" },
+  macd: { label: "MACD", defaultPeriod: null, pane: "macd" },
+};
+const INDICATOR_COLORS = ["#ffd27f", "#f1b8ff", "#9cdbba", "#ff9f7f", "#7fe0ff"];
+
+function loadIndicatorSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(INDICATORS_STORAGE_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("Unable to read indicator settings", e);
+    return {};
+  }
+}
+
+function getIndicatorsFor(symbol) {
+  const stored = loadIndicatorSettings()[symbol];
+  return Array.isArray(stored) ? stored.filter((ind) => INDICATOR_TYPES[ind.type]) : [];
+}
+
+function saveIndicatorsFor(symbol, indicators) {
+  const all = loadIndicatorSettings();
+  all[symbol] = indicators;
+  localStorage.setItem(INDICATORS_STORAGE_KEY, JSON.stringify(all));
+}
+
+function describeIndicator(ind) {
+  const type = INDICATOR_TYPES[ind.type];
+  return ind.type === "macd" ? "MACD 12/26/9" : `${type.label} ${ind.period}`;
+}
+
+// Indicator values for the rows inside [startDate, endDate], computed over
+// the full history. `scale` maps prices onto the chart's y-axis.
+function buildIndicatorOverlays(series, startDate, endDate, indicators, scale = (v) => v) {
+  const closes = series.map((row) => row.close);
+  const inRange = series
+    .map((row, idx) => (row.date >= startDate && row.date <= endDate ? idx : -1))
+    .filter((idx) => idx !== -1);
+  const pick = (values) =>
+    inRange.map((idx) => (values[idx] === null ? null : scale(values[idx])));
+  const line = (label, data, color, extra = {}) => ({
+    type: "line",
+    label,
+    data,
+    borderColor: color,
+    backgroundColor: "transparent",
+    borderWidth: 1.2,
+    pointRadius: 0,
+    tension: 0.2,
+    ...extra,
+  });
+
+  const datasets = [];
+  indicators
+    .filter((ind) => INDICATOR_TYPES[ind.type].pane === "overlay")
+    .forEach((ind, idx) => {
+      const color = INDICATOR_COLORS[idx % INDICATOR_COLORS.length];
+      const label = describeIndicator(ind);
+      if (ind.type === "sma") {
+        datasets.push(line(label, pick(computeSMA(closes, ind.period)), color));
+      } else if (ind.type === "ema") {
+        datasets.push(line(label, pick(computeEMA(closes, ind.period)), color));
+      } else {
+        const bands = computeBollingerBands(closes, ind.period);
+        const dashed = { borderDash: [4, 4] };
+        datasets.push(line(`${label} mid`, pick(bands.middle), color, dashed));
+        datasets.push(line(`${label} upper`, pick(bands.upper), color));
+        datasets.push(line(`${label} lower`, pick(bands.lower), color));
+      }
+    });
+  return { datasets, closes, inRange, pick };
+}
+
+function renderIndicatorPanes(series, startDate, endDate, indicators) {
+  searchIndicatorCharts.forEach((chart) => chart.destroy());
+  searchIndicatorCharts = [];
+
+  const rsi = indicators.find((ind) => ind.type === "rsi");
+  const macd = indicators.find((ind) => ind.type === "macd");
+  $("#search-rsi-shell").hidden = !rsi;
+  $("#search-macd-shell").hidden = !macd;
+  if (!rsi && !macd) return;
+
+  const { closes, inRange, pick } = buildIndicatorOverlays(series, startDate, endDate, []);
+  const labels = inRange.map((idx) => formatDateLabel(series[idx].date));
+  const paneOptions = () => {
+    const options = darkChartOptions();
+    options.scales.x.ticks.display = false;
+    options.plugins.legend.labels.boxWidth = 10;
+    return options;
+  };
+
+  if (rsi) {
+    const options = paneOptions();
+    options.scales.y.min = 0;
+    options.scales.y.max = 100;
+    const band = (value) => labels.map(() => value);
+    const guide = {
+      borderColor: "rgba(255,255,255,0.2)",
+      borderDash: [3, 3],
+      pointRadius: 0,
+    };
+    searchIndicatorCharts.push(
+      new Chart(document.getElementById("search-rsi-chart").getContext("2d"), {
+        type: "line",
+        data: {
+          labels,
+          datasets: [
+            {
+              label: describeIndicator(rsi),
+              data: pick(computeRSI(closes, rsi.period)),
+              borderColor: "#ffd27f",
+              borderWidth: 1.2,
+              pointRadius: 0,
             },
-          },
-          tooltip: {
-            mode: "index",
-            intersect: false,
-          },
+            { label: "70", data: band(70), borderWidth: 1, ...guide },
+            { label: "30", data: band(30), borderWidth: 1, ...guide },
+          ],
         },
-        interaction: {
-          mode: "index",
-          intersect: false,
-        },
-        scales: {
-          x: {
-            ticks: { color: "#848ca3", maxTicksLimit: 7 },
-            grid: { color: "rgba(255,255,255,0.05)" },
-          },
-          y: {
-            ticks: { color: "#848ca3" },
-            grid: { color: "rgba(255,255,255,0.05)" },
-          },
+        options,
+      })
+    );
+  }
+
+  if (macd) {
+    const values = computeMACD(closes);
+    const histogram = pick(values.histogram);
+    searchIndicatorCharts.push(
+      new Chart(document.getElementById("search-macd-chart").getContext("2d"), {
+        type: "bar",
+        data: {
+          labels,
+          datasets: [
+            {
+              type: "line",
+              label: "MACD",
+              data: pick(values.macd),
+              borderColor: "#7fb4ff",
+              borderWidth: 1.2,
+              pointRadius: 0,
+            },
+            {
+              type: "line",
+              label: "Signal",
+              data: pick(values.signal),
+              borderColor: "#f1b8ff",
+              borderWidth: 1.2,
+              pointRadius: 0,
+            },
+            {
+              label: "Histogram",
+              data: histogram,
+              backgroundColor: histogram.map((v) =>
+                v !== null && v < 0 ? CANDLE_DOWN_COLOR : CANDLE_UP_COLOR
+              ),
+            },
+          ],
         },
-      },
+        options: paneOptions(),
+      })
+    );
+  }
+}
+
+function renderIndicatorChips() {
+  const list = $("#indicator-list");
+  list.innerHTML = "";
+  if (!currentSearchSymbol) return;
+
+  getIndicatorsFor(currentSearchSymbol).forEach((ind, idx) => {
+    const li = createEl("li", "chip");
+    const removeBtn = createEl("button", "chip-remove", "×");
+    removeBtn.type = "button";
+    removeBtn.setAttribute("aria-label", `Remove ${describeIndicator(ind)}`);
+    removeBtn.addEventListener("click", () => {
+      const next = getIndicatorsFor(currentSearchSymbol).filter((_, i) => i !== idx);
+      saveIndicatorsFor(currentSearchSymbol, next);
+      renderIndicatorChips();
+      updateSearchChart();
     });
+    li.append(createEl("span", "chip-symbol", describeIndicator(ind)), removeBtn);
+    list.appendChild(li);
+  });
+}
 
-    if (!portfolio.length) {
-      status.textContent =
-        "Add a few tickers to see portfolio performance alongside the indices.";
-    } else {
-      status.textContent = "";
+function initIndicatorForm() {
+  const typeSelect = $("#indicator-type");
+  const periodInput = $("#indicator-period");
+  const syncPeriod = () => {
+    const type = INDICATOR_TYPES[typeSelect.value];
+    periodInput.disabled = type.defaultPeriod === null;
+    periodInput.value = type.defaultPeriod ?? "";
+  };
+  typeSelect.addEventListener("change", syncPeriod);
+  syncPeriod();
+
+  $("#indicator-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (!currentSearchSymbol) return;
+
+    const type = typeSelect.value;
+    const period = parseInt(periodInput.value, 10);
+    if (INDICATOR_TYPES[type].defaultPeriod !== null && !(period >= 2 && period <= 400)) {
+      alert("Choose a period between 2 and 400.");
+      return;
     }
+
+    const indicators = getIndicatorsFor(currentSearchSymbol);
+    // Only one RSI and one MACD pane make sense at a time.
+    const next = INDICATOR_TYPES[type].pane === "overlay"
+      ? indicators
+      : indicators.filter((ind) => ind.type !== type);
+    next.push(INDICATOR_TYPES[type].defaultPeriod === null ? { type } : { type, period });
+    saveIndicatorsFor(currentSearchSymbol, next);
+    renderIndicatorChips();
+    updateSearchChart();
+  });
+}
+
+// COMPARE PAGE
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 8;
+const COMPARE_COLORS = [
+  "#bfd7ff",
+  "#ffd27f",
+  "#9cdbba",
+  "#f1b8ff",
+  "#ff9f7f",
+  "#7fe0ff",
+  "#d4ff7f",
+  "#ff7fb0",
+];
+const COMPARE_FUNDAMENTALS = [
+  { label: "Name", value: (o) => o.name || "—" },
+  { label: "Sector", value: (o) => o.sector || "—" },
+  { label: "Market cap", value: (o) => formatCompactCurrency(o.marketCap, o.currency) },
+  { label: "P/E", value: (o) => formatRatio(o.peRatio) },
+  { label: "EPS", value: (o) => formatRatio(o.eps) },
+  { label: "Profit margin", value: (o) => formatPercent(o.profitMargin, false) },
+  { label: "Operating margin", value: (o) => formatPercent(o.operatingMargin, false) },
+  { label: "Dividend yield", value: (o) => formatPercent(o.dividendYield, false) },
+  { label: "Beta (reported)", value: (o) => formatRatio(o.beta) },
+];
+
+let compareSymbols = [];
+let compareChart = null;
+let comparePicker = null;
+
+function loadCompareSymbols() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || "[]");
+    compareSymbols = Array.isArray(stored) ? stored.slice(0, COMPARE_MAX) : [];
+  } catch (e) {
+    console.warn("Unable to read compare list", e);
+    compareSymbols = [];
+  }
+}
+
+function saveCompareSymbols() {
+  localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareSymbols));
+}
+
+function renderCompareList() {
+  const list = $("#compare-list");
+  list.innerHTML = "";
+  compareSymbols.forEach((symbol, idx) => {
+    const li = createEl("li", "chip");
+    const swatch = createEl("span", "swatch");
+    swatch.style.background = COMPARE_COLORS[idx % COMPARE_COLORS.length];
+    const removeBtn = createEl("button", "chip-remove", "×");
+    removeBtn.type = "button";
+    removeBtn.setAttribute("aria-label", `Remove ${symbol} from comparison`);
+    removeBtn.addEventListener("click", () => {
+      compareSymbols = compareSymbols.filter((s) => s !== symbol);
+      saveCompareSymbols();
+      renderCompareList();
+      updateComparePage();
+    });
+    li.append(swatch, createEl("span", "chip-symbol", symbol), removeBtn);
+    list.appendChild(li);
+  });
+  $("#compare-input").disabled = compareSymbols.length >= COMPARE_MAX;
+}
+
+function renderCompareFundamentals(overviews) {
+  const table = $("#compare-fundamentals");
+  table.innerHTML = "";
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  headRow.appendChild(createEl("th", null, ""));
+  compareSymbols.forEach((symbol) => headRow.appendChild(createEl("th", null, symbol)));
+  head.appendChild(headRow);
+
+  const body = createEl("tbody");
+  COMPARE_FUNDAMENTALS.forEach(({ label, value }) => {
+    const row = createEl("tr");
+    row.appendChild(createEl("th", null, label));
+    overviews.forEach((overview) => row.appendChild(createEl("td", null, value(overview))));
+    body.appendChild(row);
+  });
+  table.append(head, body);
+}
+
+// Daily-return correlations over the chosen range; cells shade with |ρ|.
+function renderCorrelationMatrix(pointsBySymbol) {
+  const table = $("#compare-correlation");
+  table.innerHTML = "";
+  const returns = pointsBySymbol.map((points) => computeDailyReturns(points));
+
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  headRow.appendChild(createEl("th", null, ""));
+  compareSymbols.forEach((symbol) => headRow.appendChild(createEl("th", null, symbol)));
+  head.appendChild(headRow);
+
+  const body = createEl("tbody");
+  compareSymbols.forEach((symbol, i) => {
+    const row = createEl("tr");
+    row.appendChild(createEl("th", null, symbol));
+    compareSymbols.forEach((_, j) => {
+      const rho = i === j ? 1 : betaAndCorrelation(returns[i], returns[j]).correlation;
+      const cell = createEl("td", "correlation-cell", formatRatio(rho));
+      if (rho !== null) {
+        const color = rho >= 0 ? "127, 180, 255" : "255, 107, 129";
+        cell.style.background = `rgba(${color}, ${(Math.abs(rho) * 0.45).toFixed(3)})`;
+      }
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  table.append(head, body);
+}
+
+// Listings on other exchanges trade on other days, so each line is placed on
+// the chart's calendar by date, bridging the days that listing didn't trade.
+function buildCalendarDataset(series, dates, label, color) {
+  const inRange = sliceSeriesByDate(series, dates[0], dates[dates.length - 1]);
+  const byDate = new Map(normalizeSeries(inRange).map((row) => [row.date, row.value]));
+  return {
+    label,
+    data: dates.map((date) => byDate.get(date) ?? null),
+    borderColor: color,
+    backgroundColor: "transparent",
+    borderWidth: 2,
+    pointRadius: 0,
+    tension: 0.25,
+    spanGaps: true,
+  };
+}
+
+async function updateComparePage() {
+  const status = $("#compare-status");
+  const results = $("#compare-results");
+
+  if (compareSymbols.length < COMPARE_MIN) {
+    results.hidden = true;
+    status.textContent = `Pick ${COMPARE_MIN} to ${COMPARE_MAX} tickers to compare.`;
+    return;
+  }
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  results.hidden = false;
+  status.textContent = "Loading comparison…";
+
+  try {
+    const calendarSeries = await fetchDailySeries(CALENDAR_SYMBOL);
+    const { start, end } = deriveDateRange(
+      $("#compare-start"),
+      $("#compare-end"),
+      calendarSeries.map((row) => row.date),
+      activeRangePresets.compare || undefined
+    );
+    const chartDates = sliceSeriesByDate(calendarSeries, start, end).map((row) => row.date);
+    const labels = chartDates.map(formatDateLabel);
+
+    const symbols = compareSymbols.slice();
+    const colorFor = (idx) => COMPARE_COLORS[idx % COMPARE_COLORS.length];
+    const [allSeries, overviews] = await Promise.all([
+      Promise.all(symbols.map((symbol) => fetchDailySeries(symbol))),
+      Promise.all(symbols.map((symbol) => fetchOverview(symbol))),
+    ]);
+    if (symbols.join() !== compareSymbols.join()) return;
+    const datasets = symbols.map((symbol, idx) =>
+      buildCalendarDataset(allSeries[idx], chartDates, symbol, colorFor(idx))
+    );
+    const points = allSeries.map((series) => seriesToPoints(series, start, end));
+
+    if (compareChart) compareChart.destroy();
+    const options = darkChartOptions({ formatY: (value) => Number(value).toFixed(0) });
+    compareChart = new Chart(document.getElementById("compare-chart").getContext("2d"), {
+      type: "line",
+      data: { labels, datasets },
+      options,
+    });
+
+    renderCompareFundamentals(overviews);
+    renderCorrelationMatrix(points);
+    status.textContent = "";
   } catch (e) {
     console.error(e);
-    status.textContent =
-      "There was a problem loading data (free API limits are easy to hit). Try again later.";
+    status.textContent = describeApiError(e, "Unable to load the comparison right now.");
   }
 }
 
-// NEWS PAGE
-async function refreshNewsPage() {
-  const portfolioNewsContainer = $("#portfolio-news");
-  const portfolioStatus = $("#portfolio-news-status");
-  const marketNewsContainer = $("#market-news");
-  const marketStatus = $("#market-news-status");
+function initComparePage() {
+  loadCompareSymbols();
+  comparePicker = attachSymbolPicker($("#compare-input"), {
+    onPick: () => $("#compare-form").requestSubmit(),
+  });
 
-  // Portfolio news
-  portfolioNewsContainer.innerHTML = "";
-  if (!portfolio.length) {
-    portfolioStatus.textContent =
-      "Add tickers to your portfolio to see related headlines.";
-  } else {
-    portfolioStatus.textContent = "Loading headlines for your holdings…";
+  $("#compare-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (!$("#compare-input").value.trim()) return;
+
+    let match;
     try {
-      const tickersToUse = portfolio.slice(0, 3);
+      match = await resolvePickedSymbol(comparePicker);
+    } catch (err) {
+      console.error(err);
+      const message = describeApiError(err, "Unable to look up that ticker.");
+      $("#compare-status").textContent = message;
+      return;
+    }
+    if (!match) return;
+
+    const symbol = match.symbol.toUpperCase();
+    if (!compareSymbols.includes(symbol) && compareSymbols.length < COMPARE_MAX) {
+      compareSymbols.push(symbol);
+      saveCompareSymbols();
+    }
+    e.target.reset();
+    comparePicker.reset();
+    renderCompareList();
+    updateComparePage();
+  });
+
+  initRangePresets("#compare-range-form", "compare", updateComparePage);
+  $("#compare-range-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    updateComparePage();
+  });
+
+  renderCompareList();
+}
+
+// BACKTEST
+// Simulates a fixed-weight portfolio on the same daily closes the charts use,
+// so with adjusted history dividends are reinvested. The portfolio stays fully
+// invested: contributions buy at target weights and trading costs come out of
+// the portfolio's value.
+const BACKTEST_PERIOD_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const BACKTEST_DEFAULTS = {
+  allocation: "60 SPY, 40 AGG",
+  initial: 10000,
+  rebalance: "quarterly",
+  drift: 5,
+  contribution: 0,
+  contributionFrequency: "monthly",
+  costRate: 0.1,
+};
+const BACKTEST_FIELDS = {
+  allocation: "#backtest-allocation",
+  initial: "#backtest-initial",
+  rebalance: "#backtest-rebalance",
+  drift: "#backtest-drift",
+  contribution: "#backtest-contribution",
+  contributionFrequency: "#backtest-contribution-frequency",
+  costRate: "#backtest-cost",
+};
+// Percentage points an allocation may be off 100 by, for thirds and the like.
+const BACKTEST_WEIGHT_TOLERANCE = 0.5;
+let backtestChart = null;
+let backtestToken = 0;
+
+function loadBacktestStrategy() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BACKTEST_STORAGE_KEY) || "{}") || {};
+    return { ...BACKTEST_DEFAULTS, ...stored };
+  } catch (e) {
+    console.warn("Unable to read backtest strategy", e);
+    return { ...BACKTEST_DEFAULTS };
+  }
+}
+
+function saveBacktestStrategy(strategy) {
+  localStorage.setItem(BACKTEST_STORAGE_KEY, JSON.stringify(strategy));
+}
+
+// Reads the form; returns null (after alerting) when something is off.
+// Percentages are entered as percents and returned as fractions.
+function readBacktestForm() {
+  const strategy = {};
+  Object.entries(BACKTEST_FIELDS).forEach(([key, selector]) => {
+    const input = $(selector);
+    strategy[key] = input.type === "number" ? parseFloat(input.value) || 0 : input.value;
+  });
+  const components = parseBenchmarkComponents(strategy.allocation);
+  if (!components) {
+    alert('Describe the allocation like "60 SPY, 40 AGG".');
+    return null;
+  }
+  // A lone symbol is the whole portfolio; a mix has to spell out its weights.
+  const total = components.reduce((sum, c) => sum + c.weight, 0);
+  if (components.length > 1 && Math.abs(total - 100) > BACKTEST_WEIGHT_TOLERANCE) {
+    alert(`The allocation adds up to ${Math.round(total * 100) / 100}%, not 100%.`);
+    return null;
+  }
+  if (strategy.initial <= 0) {
+    alert("Enter a starting amount above zero.");
+    return null;
+  }
+  saveBacktestStrategy(strategy);
+
+  const weights = new Map();
+  components.forEach((c) => {
+    const symbol = c.symbol.toUpperCase();
+    weights.set(symbol, (weights.get(symbol) || 0) + c.weight / total);
+  });
+  return {
+    ...strategy,
+    weights,
+    drift: Math.max(strategy.drift, 0) / 100,
+    costRate: Math.max(strategy.costRate, 0) / 100,
+    contribution: Math.max(strategy.contribution, 0),
+  };
+}
+
+// Calendar months grouped into periods of `months`; a new key marks the first
+// trading day of a new month, quarter or year.
+function calendarPeriodKey(date, months) {
+  const month = Number(date.slice(5, 7)) - 1;
+  return `${date.slice(0, 4)}-${Math.floor(month / months)}`;
+}
+
+// `priceMaps` give every symbol a close on every date. Returns rows shaped like
+// replayLedger's ({ date, value, flow }) plus totals for the run.
+function simulateBacktest(dates, priceMaps, strategy) {
+  const { weights, initial, rebalance, drift, contribution, costRate } = strategy;
+  const symbols = [...weights.keys()];
+  const shares = new Map(symbols.map((symbol) => [symbol, 0]));
+  const totals = { contributed: 0, costs: 0, rebalances: 0 };
+  const valueAt = (prices) =>
+    symbols.reduce((sum, symbol) => sum + shares.get(symbol) * prices.get(symbol), 0);
+
+  // Contributions only buy, split by target weight.
+  const invest = (prices, amount) => {
+    const cost = amount * costRate;
+    symbols.forEach((symbol) => {
+      const bought = (weights.get(symbol) * (amount - cost)) / prices.get(symbol);
+      shares.set(symbol, shares.get(symbol) + bought);
+    });
+    totals.contributed += amount;
+    totals.costs += cost;
+  };
+  // Trades back to target weights, paying for the turnover out of the total.
+  const rebalanceTo = (prices) => {
+    const total = valueAt(prices);
+    const turnover = symbols.reduce((sum, symbol) => {
+      const current = shares.get(symbol) * prices.get(symbol);
+      return sum + Math.abs(weights.get(symbol) * total - current);
+    }, 0);
+    const cost = turnover * costRate;
+    symbols.forEach((symbol) => {
+      shares.set(symbol, (weights.get(symbol) * (total - cost)) / prices.get(symbol));
+    });
+    totals.costs += cost;
+    totals.rebalances += 1;
+  };
+  const hasDrifted = (prices) => {
+    const total = valueAt(prices);
+    return symbols.some((symbol) => {
+      const weight = (shares.get(symbol) * prices.get(symbol)) / total;
+      return Math.abs(weight - weights.get(symbol)) > drift;
+    });
+  };
+
+  const rebalanceMonths = BACKTEST_PERIOD_MONTHS[rebalance];
+  const contributionMonths = BACKTEST_PERIOD_MONTHS[strategy.contributionFrequency];
+  const rows = dates.map((date, idx) => {
+    const prices = new Map();
+    symbols.forEach((symbol) => prices.set(symbol, priceMaps.get(symbol).get(date)));
+    const previous = dates[idx - 1];
+    const newPeriod = (months) =>
+      idx > 0 && calendarPeriodKey(date, months) !== calendarPeriodKey(previous, months);
+    let flow = 0;
+
+    if (idx === 0) {
+      invest(prices, initial);
+      flow = initial;
+    } else if (contribution > 0 && newPeriod(contributionMonths)) {
+      invest(prices, contribution);
+      flow = contribution;
+    }
+    const due = rebalanceMonths
+      ? newPeriod(rebalanceMonths)
+      : rebalance === "drift" && idx > 0 && hasDrifted(prices);
+    if (due) rebalanceTo(prices);
+    return { date, value: valueAt(prices), flow };
+  });
+  return { rows, ...totals };
+}
+
+// Closes for every symbol on every calendar date from the first date they all
+// have one, carrying the last close over any gaps.
+function alignBacktestPrices(dates, seriesList, symbols) {
+  const priceMaps = new Map();
+  let firstCommon = 0;
+  seriesList.forEach((series, idx) => {
+    const closes = new Map(series.map((row) => [row.date, row.close]));
+    const aligned = new Map();
+    let last;
+    dates.forEach((date, i) => {
+      if (closes.has(date)) last = closes.get(date);
+      if (last !== undefined) aligned.set(date, last);
+      else firstCommon = Math.max(firstCommon, i + 1);
+    });
+    priceMaps.set(symbols[idx], aligned);
+  });
+  return { dates: dates.slice(firstCommon), priceMaps };
+}
+
+function renderBacktestSummary(run, subjects) {
+  const tiles = $("#backtest-summary");
+  tiles.innerHTML = "";
+  const last = run.rows[run.rows.length - 1];
+  const mwr = computeMoneyWeightedReturn(run.rows);
+  const base = getBaseCurrency();
+  [
+    { label: "Ending value", value: formatCurrency(last.value, base) },
+    { label: "Contributed", value: formatCurrency(run.contributed, base) },
+    {
+      label: "Money-weighted",
+      value: formatPercent(mwr && mwr.annualized),
+      tone: mwr && mwr.annualized,
+      hint: "Annualized, counting contributions",
+    },
+    { label: "Trading costs", value: formatCurrency(run.costs, base) },
+    { label: "Rebalances", value: run.rebalances.toLocaleString() },
+  ].forEach(({ label, value, tone, hint }) => {
+    const tile = createEl("div", "summary-tile");
+    tile.append(createEl("dt", null, label), createEl("dd", signedClass(tone), value));
+    if (hint) tile.appendChild(createEl("span", "muted tiny", hint));
+    tiles.appendChild(tile);
+  });
+
+  const table = $("#backtest-table");
+  table.innerHTML = "";
+  const head = createEl("thead");
+  const headRow = createEl("tr");
+  ["Series", "CAGR", "Volatility", "Max drawdown", "Sharpe"].forEach((label) =>
+    headRow.appendChild(createEl("th", null, label))
+  );
+  head.appendChild(headRow);
+  const body = createEl("tbody");
+  subjects.forEach((subject) => {
+    const metrics = computeRiskMetrics(subject.points);
+    const cagr = computeCagr(subject.points);
+    const { drawdown } = metrics.drawdown;
+    const row = createEl("tr");
+    row.append(
+      createEl("td", null, subject.label),
+      createEl("td", signedClass(cagr), formatPercent(cagr)),
+      createEl("td", null, formatPercent(metrics.volatility, false)),
+      createEl("td", signedClass(drawdown), formatPercent(drawdown)),
+      createEl("td", null, formatRatio(metrics.sharpe))
+    );
+    body.appendChild(row);
+  });
+  table.append(head, body);
+}
+
+async function runBacktest() {
+  const status = $("#backtest-status");
+  const results = $("#backtest-results");
+  const strategy = readBacktestForm();
+  if (!strategy) return;
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
+
+  const token = ++backtestToken;
+  status.textContent = "Running backtest…";
+  try {
+    const calendarSeries = await fetchDailySeries(CALENDAR_SYMBOL);
+    const { start, end } = deriveDateRange(
+      $("#backtest-start"),
+      $("#backtest-end"),
+      calendarSeries.map((row) => row.date),
+      activeRangePresets.backtest || "5Y"
+    );
+    const symbols = [...strategy.weights.keys()];
+    const local = await Promise.all(symbols.map((symbol) => fetchDailySeries(symbol)));
+    // Holdings are priced in the base currency at each day's FX close, like the
+    // portfolio chart, so the amounts entered are in the base currency too.
+    const currencies = await resolveSymbolCurrencies(symbols);
+    const converters = await loadFxConverters(currencies);
+    if (token !== backtestToken) return;
+    const seriesList = local.map((series, idx) => {
+      const rateOn = converters.get(currencies.get(symbols[idx]));
+      return series.map((row) => ({ ...row, close: row.close * rateOn(row.date) }));
+    });
+
+    const calendar = sliceSeriesByDate(calendarSeries, start, end).map((row) => row.date);
+    const { dates, priceMaps } = alignBacktestPrices(calendar, seriesList, symbols);
+    if (dates.length < 2) {
+      results.hidden = true;
+      status.textContent = "Not enough shared price history in this range.";
+      return;
+    }
+
+    const run = simulateBacktest(dates, priceMaps, strategy);
+    const index = buildLedgerIndex(run.rows);
+    const strategyPoints = dates.map((date, idx) => ({ date, value: index[idx] }));
+    const benchmarkLines = await loadBenchmarkLines(dates[0], end);
+    if (token !== backtestToken) return;
+
+    if (backtestChart) backtestChart.destroy();
+    const strategyDataset = {
+      label: "Strategy",
+      data: index,
+      borderColor: "rgba(191, 215, 255, 1)",
+      backgroundColor: "transparent",
+      borderWidth: 2.4,
+      pointRadius: 0,
+      tension: 0.25,
+    };
+    backtestChart = new Chart(document.getElementById("backtest-chart").getContext("2d"), {
+      type: "line",
+      data: {
+        labels: dates.map(formatDateLabel),
+        datasets: [strategyDataset].concat(benchmarkLines.map((line) => line.dataset)),
+      },
+      options: darkChartOptions({ formatY: (value) => Number(value).toFixed(0) }),
+    });
+    const subjects = [{ label: "Strategy", points: strategyPoints }];
+    renderBacktestSummary(run, subjects.concat(benchmarkLines));
+    results.hidden = false;
+    status.textContent =
+      dates[0] > start
+        ? `Starts ${dates[0]}, the first day every holding has a price.`
+        : "";
+  } catch (e) {
+    console.error(e);
+    if (token !== backtestToken) return;
+    results.hidden = true;
+    status.textContent = describeApiError(e, "Unable to run the backtest right now.");
+  }
+}
 
-      let mergedArticles = [];
+function initBacktest() {
+  const strategy = loadBacktestStrategy();
+  Object.entries(BACKTEST_FIELDS).forEach(([key, selector]) => {
+    $(selector).value = strategy[key];
+  });
+  const syncDrift = () => {
+    $("#backtest-drift").disabled = $("#backtest-rebalance").value !== "drift";
+  };
+  $("#backtest-rebalance").addEventListener("change", syncDrift);
+  syncDrift();
+
+  $("#backtest-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    runBacktest();
+  });
+  initRangePresets("#backtest-range-form", "backtest", runBacktest);
+  $("#backtest-range-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    runBacktest();
+  });
+}
 
-      for (const symbol of tickersToUse) {
-        const articlesForSymbol = await fetchNews({
-          tickers: [symbol],
-          limit: 8, 
-        });
-        mergedArticles = mergedArticles.concat(articlesForSymbol || []);
-      }
+// RANGE PRESETS
+function renderRangePresets(form, key) {
+  form.querySelectorAll("[data-range]").forEach((btn) => {
+    btn.classList.toggle("pill-btn--active", btn.dataset.range === activeRangePresets[key]);
+  });
+}
 
-      mergedArticles.sort((a, b) => {
-        const ta = a.time_published || "";
-        const tb = b.time_published || "";
-        return tb.localeCompare(ta);
+function initRangePresets(formSelector, key, update) {
+  const form = $(formSelector);
+  const group = createEl("div", "range-presets");
+  group.setAttribute("role", "group");
+  group.setAttribute("aria-label", "Quick ranges");
+
+  RANGE_PRESETS.forEach((preset) => {
+    const btn = createEl("button", "pill-btn", preset === "MAX" ? "Max" : preset);
+    btn.type = "button";
+    btn.dataset.range = preset;
+    btn.addEventListener("click", () => {
+      activeRangePresets[key] = preset;
+      form.querySelectorAll('input[type="date"]').forEach((input) => {
+        input.value = "";
       });
+      renderRangePresets(form, key);
+      update();
+    });
+    group.appendChild(btn);
+  });
+
+  form.prepend(group);
+  form.addEventListener("submit", () => {
+    activeRangePresets[key] = null;
+    renderRangePresets(form, key);
+  });
+}
 
-      mergedArticles = mergedArticles.slice(0, 20);
+// WATCHLIST
+// { symbol, alerts: [{ id, kind, value, lastFiredDay }] } per watched symbol.
+// An alert fires at most once per trading day.
+const ALERT_KINDS = {
+  above: { label: "Price above", describe: (v, cur) => `above ${formatCurrency(v, cur)}` },
+  below: { label: "Price below", describe: (v, cur) => `below ${formatCurrency(v, cur)}` },
+  move: { label: "Daily move (%)", describe: (v) => `moves ±${v}% in a day` },
+};
 
-      renderNewsCards(portfolioNewsContainer, mergedArticles);
-      portfolioStatus.textContent =
-        mergedArticles.length === 0 ? "No recent portfolio headlines found." : "";
-    } catch (e) {
-      console.error(e);
-      portfolioStatus.textContent = "Unable to load portfolio news right now.";
-    }
+function loadWatchlist() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY) || "[]");
+    watchlist = (Array.isArray(stored) ? stored : [])
+      .filter((item) => item && typeof item.symbol === "string")
+      .map((item) => ({
+        symbol: item.symbol.toUpperCase(),
+        alerts: (Array.isArray(item.alerts) ? item.alerts : []).filter(
+          (alert) => ALERT_KINDS[alert.kind] && Number.isFinite(alert.value)
+        ),
+      }));
+  } catch (e) {
+    console.warn("Unable to read watchlist", e);
+    watchlist = [];
   }
+}
 
+function saveWatchlist() {
+  localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+}
 
-  // Market news
-  marketNewsContainer.innerHTML = "";
-  marketStatus.textContent = "Loading market stories…";
+// Last quotes are kept so a page reload shows them without spending calls.
+function loadWatchlistQuotes() {
   try {
-    const articles = await fetchNews({
-      topics: ["financial_markets", "economy_macro"],
-      limit: 20,
+    const stored = JSON.parse(localStorage.getItem(WATCHLIST_QUOTES_STORAGE_KEY) || "null");
+    if (!stored || !stored.quotes) return;
+    Object.entries(stored.quotes).forEach(([symbol, quote]) => {
+      watchlistQuotes.set(symbol, quote);
     });
-    renderNewsCards(marketNewsContainer, articles);
-    marketStatus.textContent =
-      articles.length === 0 ? "No recent market stories found." : "";
+    watchlistRefreshedAt = stored.refreshedAt || 0;
   } catch (e) {
-    console.error(e);
-    marketStatus.textContent = "Unable to load market news right now.";
+    console.warn("Unable to read watchlist quotes", e);
   }
 }
 
-function createNewsCard(article) {
-  const card = createEl("article", "news-card");
+function saveWatchlistQuotes() {
+  localStorage.setItem(
+    WATCHLIST_QUOTES_STORAGE_KEY,
+    JSON.stringify({
+      refreshedAt: watchlistRefreshedAt,
+      quotes: Object.fromEntries(watchlistQuotes),
+    })
+  );
+}
 
-  const title = createEl("h3", "news-title");
-  title.textContent = article.title || "Untitled story";
+function loadAlertHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ALERT_HISTORY_STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    console.warn("Unable to read alert history", e);
+    return [];
+  }
+}
 
-  const meta = createEl("div", "news-meta");
-  const source = article.source || article.source_domain || "Unknown source";
-  const ts = article.time_published || "";
-  const date = ts ? `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}` : "";
-  meta.textContent = `${source}${date ? " • " + date : ""}`;
+function recordAlert(entry) {
+  const history = [entry, ...loadAlertHistory()].slice(0, ALERT_HISTORY_LIMIT);
+  localStorage.setItem(ALERT_HISTORY_STORAGE_KEY, JSON.stringify(history));
+}
 
-  const tag = createEl(
-    "span",
-    "news-tag",
-    (article.overall_sentiment_label || "Neutral").toUpperCase()
-  );
+// Spends at most WATCHLIST_DAILY_SHARE of the daily quota, spread over the day.
+// Returns null when the list is too long to refresh automatically.
+function watchlistRefreshInterval() {
+  if (!getMarketDataProvider().usesApiBudget) return WATCHLIST_MIN_REFRESH_MS;
+  const callsPerDay = API_LIMITS.perDay * WATCHLIST_DAILY_SHARE;
+  const refreshesPerDay = Math.floor(callsPerDay / Math.max(1, watchlist.length));
+  if (refreshesPerDay < 1) return null;
+  return Math.max(WATCHLIST_MIN_REFRESH_MS, (24 * HOUR_MS) / refreshesPerDay);
+}
 
-  const summary = createEl(
-    "p",
-    "muted tiny",
-    article.summary || article.snippet || ""
+function alertTriggered(alert, quote) {
+  if (alert.kind === "above") return quote.price !== null && quote.price >= alert.value;
+  if (alert.kind === "below") return quote.price !== null && quote.price <= alert.value;
+  return (
+    quote.changePercent !== null && Math.abs(quote.changePercent) * 100 >= alert.value
   );
+}
 
-  const link = createEl("a", "news-link", "Open article ↗");
-  link.href = article.url || "#";
-  link.target = "_blank";
-  link.rel = "noopener noreferrer";
-
-  card.append(title, meta, tag, summary, link);
-  return card;
+function checkAlerts(item, quote) {
+  const day = quote.latestTradingDay || todayKey();
+  let fired = false;
+  item.alerts.forEach((alert) => {
+    if (alert.lastFiredDay === day || !alertTriggered(alert, quote)) return;
+    alert.lastFiredDay = day;
+    fired = true;
+
+    const currency = getSymbolCurrency(item.symbol);
+    const condition = ALERT_KINDS[alert.kind].describe(alert.value, currency);
+    const move = formatPercent(quote.changePercent);
+    const price = formatCurrency(quote.price, currency);
+    const message = `${item.symbol} ${condition}: ${price} (${move})`;
+    recordAlert({
+      id: createId(),
+      symbol: item.symbol,
+      message,
+      firedAt: new Date().toISOString(),
+    });
+    if ("Notification" in window && Notification.permission === "granted") {
+      new Notification("Price alert", { body: message, tag: alert.id });
+    }
+  });
+  return fired;
 }
 
-function renderNewsCards(container, articles) {
-  container.innerHTML = "";
-  if (!articles || !articles.length) return;
+async function refreshWatchlist({ manual = false } = {}) {
+  const status = $("#watchlist-status");
+  clearTimeout(watchlistTimer);
+  watchlistTimer = null;
+  if (!watchlist.length) {
+    status.textContent = "Add a ticker to start watching it.";
+    return;
+  }
+  if (!hasMarketDataAccess()) {
+    status.textContent = describeApiError({ missingKey: true });
+    return;
+  }
 
-  const MAX_TOTAL = 20;      
-  const INITIAL_VISIBLE = 8; 
+  const remaining = API_LIMITS.perDay - loadApiUsage().count;
+  if (!manual && getMarketDataProvider().usesApiBudget && remaining < watchlist.length) {
+    status.textContent = "Automatic refresh paused: not enough API calls left today.";
+    watchlistTimer = setTimeout(refreshWatchlist, watchlistRefreshInterval() || HOUR_MS);
+    return;
+  }
 
-  const trimmed = articles.slice(0, MAX_TOTAL);
-  let visibleCount = Math.min(INITIAL_VISIBLE, trimmed.length);
+  status.textContent = "Refreshing quotes…";
+  // The list can change while quotes load, so results are matched by symbol.
+  const symbols = watchlist.map((item) => item.symbol);
+  const results = await Promise.allSettled(
+    symbols.map((symbol) => fetchGlobalQuote(symbol))
+  );
 
-  function renderSlice() {
-    container.innerHTML = "";
+  let fired = false;
+  let failure = null;
+  results.forEach((result, idx) => {
+    const symbol = symbols[idx];
+    const item = watchlist.find((w) => w.symbol === symbol);
+    if (!item) return;
+    if (result.status === "fulfilled" && result.value.price !== null) {
+      watchlistQuotes.set(symbol, result.value);
+      fired = checkAlerts(item, result.value) || fired;
+    } else {
+      failure = failure || result.reason || new Error(`No quote for ${symbol}`);
+    }
+  });
+  if (fired) saveWatchlist();
+  watchlistRefreshedAt = Date.now();
+  saveWatchlistQuotes();
 
-    trimmed.slice(0, visibleCount).forEach((article) => {
-      const card = createNewsCard(article);
-      container.appendChild(card);
-    });
+  renderWatchlist();
+  renderAlertHistory();
 
-    if (visibleCount < trimmed.length) {
-      const wrapper = createEl("div", "news-more-wrapper");
-      const btn = createEl("button", "btn btn--ghost news-more-btn", "Show more");
-      btn.type = "button";
+  const parts = [scheduleWatchlistRefresh()];
+  if (failure) parts.unshift(describeApiError(failure, "Some quotes could not be loaded."));
+  status.textContent = parts.join(" • ");
+}
 
-      btn.addEventListener("click", () => {
-        visibleCount = trimmed.length;
-        renderSlice();
-      });
+function scheduleWatchlistRefresh() {
+  clearTimeout(watchlistTimer);
+  watchlistTimer = null;
+  const updated = watchlistRefreshedAt
+    ? `Updated ${new Date(watchlistRefreshedAt).toLocaleTimeString()}`
+    : "Not refreshed yet";
 
-      wrapper.appendChild(btn);
-      container.appendChild(wrapper);
-    }
+  const interval = watchlistRefreshInterval();
+  if (interval === null) {
+    return `${updated} • too many tickers to refresh automatically within the API budget`;
   }
+  const dueAt = Math.max(Date.now(), watchlistRefreshedAt + interval);
+  watchlistTimer = setTimeout(refreshWatchlist, dueAt - Date.now());
+  const next = new Date(dueAt).toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+  return `${updated} • next refresh ${next}`;
+}
+
+function renderWatchlist() {
+  const body = $("#watchlist-table tbody");
+  body.innerHTML = "";
+  $("#watchlist-empty").hidden = watchlist.length > 0;
+
+  watchlist.forEach((item) => {
+    const quote = watchlistQuotes.get(item.symbol) || {};
+    const currency = getSymbolCurrency(item.symbol);
+    const tr = document.createElement("tr");
+    const volume = Number.isFinite(quote.volume) ? quote.volume.toLocaleString() : "—";
+    const change = createEl(
+      "td",
+      signedClass(quote.change),
+      formatCurrency(quote.change, currency)
+    );
+    const changePct = createEl(
+      "td",
+      signedClass(quote.changePercent),
+      formatPercent(quote.changePercent)
+    );
 
-  renderSlice();
+    const alertsCell = document.createElement("td");
+    item.alerts.forEach((alert) => {
+      const chip = createEl("span", "chip chip--alert");
+      const removeBtn = createEl("button", "chip-remove", "×");
+      removeBtn.type = "button";
+      removeBtn.setAttribute("aria-label", `Remove ${item.symbol} alert`);
+      removeBtn.addEventListener("click", () => {
+        item.alerts = item.alerts.filter((a) => a.id !== alert.id);
+        saveWatchlist();
+        renderWatchlist();
+      });
+      const condition = ALERT_KINDS[alert.kind].describe(alert.value, currency);
+      chip.append(createEl("span", null, condition), removeBtn);
+      alertsCell.appendChild(chip);
+    });
+
+    const actions = createEl("td", "table-actions");
+    const removeBtn = createEl("button", "link-btn", "Remove");
+    removeBtn.type = "button";
+    removeBtn.addEventListener("click", () => {
+      watchlist = watchlist.filter((w) => w.symbol !== item.symbol);
+      watchlistQuotes.delete(item.symbol);
+      saveWatchlist();
+      renderWatchlist();
+      renderAlertSymbolOptions();
+    });
+    actions.appendChild(removeBtn);
+
+    tr.append(
+      createEl("td", "ledger-type", item.symbol),
+      createEl("td", null, formatCurrency(quote.price, currency)),
+      change,
+      changePct,
+      createEl("td", null, volume),
+      createEl("td", "muted", quote.latestTradingDay || "—"),
+      alertsCell,
+      actions
+    );
+    body.appendChild(tr);
+  });
 }
 
+function renderAlertSymbolOptions() {
+  const select = $("#alert-symbol");
+  const current = select.value;
+  select.innerHTML = "";
+  watchlist.forEach((item) => {
+    const option = createEl("option", null, item.symbol);
+    option.value = item.symbol;
+    select.appendChild(option);
+  });
+  if (watchlist.some((item) => item.symbol === current)) select.value = current;
+  $("#alert-form button[type=submit]").disabled = !watchlist.length;
+}
 
-// SEARCH PAGE
-async function handleSearchSubmit(event) {
-  event.preventDefault();
-  const query = $("#search-input").value.trim();
-  if (!query) return;
+function renderAlertHistory() {
+  const list = $("#alert-history");
+  list.innerHTML = "";
+  const history = loadAlertHistory();
+  $("#alert-history-empty").hidden = history.length > 0;
+  history.forEach((entry) => {
+    const li = createEl("li", "alert-history-item");
+    const when = new Date(entry.firedAt).toLocaleString([], {
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    li.append(createEl("span", "muted tiny", when), createEl("span", null, entry.message));
+    list.appendChild(li);
+  });
+}
 
-  const titleEl = $("#search-result-title");
-  const subtitleEl = $("#search-result-subtitle");
-  const statsGrid = $("#company-stats");
-  const status = $("#search-status");
-  const newsSubtitle = $("#search-news-subtitle");
-  const newsContainer = $("#search-news");
-  const newsStatus = $("#search-news-status");
+function renderNotificationState() {
+  const el = $("#notification-state");
+  const btn = $("#enable-notifications");
+  if (!("Notification" in window)) {
+    el.textContent = "This browser can't show notifications; alerts go to the history.";
+    btn.hidden = true;
+    return;
+  }
+  const messages = {
+    granted: "Browser notifications are on.",
+    denied: "Notifications are blocked for this site; alerts are kept in the history.",
+    default: "Turn on browser notifications to hear about alerts in other tabs.",
+  };
+  el.textContent = messages[Notification.permission];
+  btn.hidden = Notification.permission !== "default";
+}
 
-  statsGrid.innerHTML = "";
-  newsContainer.innerHTML = "";
-  status.textContent = "Searching…";
-  newsStatus.textContent = "";
+function initWatchlist() {
+  loadWatchlist();
+  loadWatchlistQuotes();
 
-  try {
-    let symbolGuess = null;
-    let nameGuess = null;
+  const kindSelect = $("#alert-kind");
+  Object.entries(ALERT_KINDS).forEach(([kind, { label }]) => {
+    const option = createEl("option", null, label);
+    option.value = kind;
+    kindSelect.appendChild(option);
+  });
 
-    if (/^[a-zA-Z.\-]{1,6}$/.test(query)) {
-      symbolGuess = query.toUpperCase();
-    } else {
-      const match = await symbolSearch(query);
-      if (!match) {
-        status.textContent = "No matching ticker found.";
-        return;
-      }
-      symbolGuess = match.symbol.toUpperCase();
-      nameGuess = match.name;
+  $("#watchlist-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const input = $("#watchlist-symbol");
+    const symbol = input.value.trim().toUpperCase();
+    if (!isValidSymbol(symbol)) {
+      alert("Please enter a ticker symbol like AAPL or APC.DEX.");
+      return;
     }
+    if (!watchlist.some((item) => item.symbol === symbol)) {
+      watchlist.push({ symbol, alerts: [] });
+      saveWatchlist();
+    }
+    input.value = "";
+    renderWatchlist();
+    renderAlertSymbolOptions();
+    refreshWatchlist({ manual: true });
+  });
 
-    currentSearchSymbol = symbolGuess;
-
-    const [overview, quote] = await Promise.all([
-      fetchOverview(symbolGuess),
-      fetchGlobalQuote(symbolGuess),
-    ]);
+  $("#alert-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const item = watchlist.find((w) => w.symbol === $("#alert-symbol").value);
+    const value = parseFloat($("#alert-value").value);
+    if (!item) return;
+    if (!(value > 0)) {
+      alert("Enter a positive price or percentage.");
+      return;
+    }
+    const kind = $("#alert-kind").value;
+    item.alerts.push({ id: createId(), kind, value, lastFiredDay: null });
+    saveWatchlist();
+    $("#alert-value").value = "";
+    renderWatchlist();
+    // Asking here, right after a click, is what browsers allow.
+    if ("Notification" in window && Notification.permission === "default") {
+      Notification.requestPermission().then(renderNotificationState);
+    }
+    const quote = watchlistQuotes.get(item.symbol);
+    if (quote && checkAlerts(item, quote)) {
+      saveWatchlist();
+      renderAlertHistory();
+    }
+  });
 
-    const companyName = overview.Name || nameGuess || symbolGuess;
-    titleEl.textContent = companyName;
-    subtitleEl.textContent = `${symbolGuess} • ${
-      overview.Sector || "Unknown sector"
-    } • ${overview.Industry || "Unknown industry"}`;
+  $("#watchlist-refresh").addEventListener("click", () => {
+    refreshWatchlist({ manual: true });
+  });
+  $("#enable-notifications").addEventListener("click", () => {
+    Notification.requestPermission().then(renderNotificationState);
+  });
+  $("#clear-alert-history").addEventListener("click", () => {
+    localStorage.removeItem(ALERT_HISTORY_STORAGE_KEY);
+    renderAlertHistory();
+  });
 
-    const stats = [
-      {
-        label: "Price",
-        value: `$${parseFloat(quote["05. price"] || quote["05. Price"] || 0).toFixed(
-          2
-        )}`,
-      },
-      {
-        label: "Market Cap",
-        value: overview.MarketCapitalization
-          ? `$${Number(overview.MarketCapitalization).toLocaleString()}`
-          : "—",
-      },
-      { label: "P/E", value: overview.PERatio || "—" },
-      { label: "EPS", value: overview.EPS || "—" },
-      { label: "Beta", value: overview.Beta || "—" },
-      { label: "Dividend Yield", value: overview.DividendYield || "—" },
-      { label: "52w High", value: overview["52WeekHigh"] || "—" },
-      { label: "52w Low", value: overview["52WeekLow"] || "—" },
-    ];
+  renderWatchlist();
+  renderAlertSymbolOptions();
+  renderAlertHistory();
+  renderNotificationState();
+  if (watchlist.length && hasMarketDataAccess()) {
+    $("#watchlist-status").textContent = scheduleWatchlistRefresh();
+  } else {
+    refreshWatchlist();
+  }
+}
 
-    stats.forEach(({ label, value }) => {
-      const dt = createEl("dt", null, label);
-      const dd = createEl("dd", null, value);
-      const row = createEl("div", "stat-row");
-      row.append(dt, dd);
-      statsGrid.append(row);
-    });
+// SETTINGS
+function renderOnboardingState() {
+  const needsKey = !hasMarketDataAccess();
+  document.body.classList.toggle("needs-api-key", needsKey);
+  $("#onboarding").hidden = !needsKey;
+}
 
-    // Performance chart
-    await updateSearchChart();
+function renderSettingsPage() {
+  const key = getApiKey();
+  const history = getPriceHistoryOptions();
+  $("#api-key-input").value = key;
+  $("#provider-select").value = getMarketDataProvider().id;
+  $("#history-full").checked = history.full;
+  $("#history-adjusted").checked = history.adjusted;
+  $("#remove-api-key").hidden = !key;
+  $("#base-currency").value = getBaseCurrency();
+  document.querySelectorAll("[data-base-currency]").forEach((el) => {
+    el.textContent = getBaseCurrency();
+  });
+}
 
-    // News for ticker
-    newsSubtitle.textContent = `Headlines mentioning ${symbolGuess}.`;
-    newsStatus.textContent = "Loading headlines…";
-    try {
-      const articles = await fetchNews({ tickers: [symbolGuess], limit: 20 });
-      renderNewsCards(newsContainer, articles);
-      newsStatus.textContent = articles.length ? "" : "No recent headlines found.";
-    } catch (e) {
-      console.error(e);
-      newsStatus.textContent = "Unable to load news for this ticker.";
-    }
+function setSettingsStatus(message) {
+  $("#settings-status").textContent = message;
+}
 
-    status.textContent = "";
-  } catch (e) {
-    console.error(e);
-    $("#search-status").textContent =
-      "There was a problem searching (free API limits are easy to hit). Try again later.";
-  }
+// A quote for IBM is the cheapest call that proves the key works. It goes
+// through the queue (so it counts against the budget) but skips the cache.
+async function validateApiKey(key) {
+  const query = new URLSearchParams({
+    function: "GLOBAL_QUOTE",
+    symbol: "IBM",
+    apikey: key,
+  });
+  const data = await enqueueRequest(`${ALPHA_VANTAGE_BASE}?${query.toString()}`);
+  return Boolean(data["Global Quote"]);
 }
 
-async function updateSearchChart() {
-  const status = $("#search-status");
-  const startInput = $("#search-start");
-  const endInput = $("#search-end");
+function applySettingsChange() {
+  renderOnboardingState();
+  renderApiStatus();
+  renderSettingsPage();
+  updatePortfolioChart();
+  refreshWatchlist();
+}
 
-  if (!currentSearchSymbol) {
-    status.textContent = "Search for a ticker to see its performance.";
+async function handleSettingsSubmit(event) {
+  event.preventDefault();
+  const key = $("#api-key-input").value.trim();
+  if (!key) {
+    setSettingsStatus("Paste a key first.");
     return;
   }
 
-  status.textContent = "Loading chart…";
-
+  setSettingsStatus("Testing key…");
   try {
-    const spySeries = await fetchDailySeries(BENCHMARK_SYMBOLS.spy);
-    const availableDates = spySeries.map((row) => row.date);
-    const { start, end } = deriveDateRange(startInput, endInput, availableDates);
-
-    const labels = sliceSeriesByDate(spySeries, start, end).map((row) =>
-      formatDateLabel(row.date)
-    );
-
-    const datasets = [];
+    const valid = await validateApiKey(key);
+    if (!valid) {
+      setSettingsStatus(
+        "Alpha Vantage did not return data for that key. Check it and try again."
+      );
+      return;
+    }
+    localStorage.setItem(API_KEY_STORAGE_KEY, key);
+    setSettingsStatus("Key saved. Market data will load from Alpha Vantage.");
+  } catch (e) {
+    console.error(e);
+    if (e.throttled || e.budgetExhausted) {
+      localStorage.setItem(API_KEY_STORAGE_KEY, key);
+      setSettingsStatus(
+        "Key saved, but it could not be verified because the rate limit was hit."
+      );
+    } else {
+      setSettingsStatus(`That key was rejected: ${e.message}`);
+      return;
+    }
+  }
+  applySettingsChange();
+}
 
-    // Main stock
-    const stockDataset = await buildDataset(
-      currentSearchSymbol,
-      start,
-      end,
-      currentSearchSymbol,
-      "rgba(191, 215, 255, 1)"
-    );
-    datasets.push(stockDataset);
+function initSettings() {
+  $("#settings-form").addEventListener("submit", handleSettingsSubmit);
 
-    const benchColors = {
-      spy: "rgba(127, 180, 255, 1)",
-      dia: "rgba(156, 219, 186, 1)",
-      qqq: "rgba(241, 184, 255, 1)",
-    };
-    const benchChecks = {
-      spy: $("#search-bench-spy").checked,
-      dia: $("#search-bench-dia").checked,
-      qqq: $("#search-bench-qqq").checked,
-    };
+  $("#remove-api-key").addEventListener("click", () => {
+    localStorage.removeItem(API_KEY_STORAGE_KEY);
+    setSettingsStatus("Key removed from this browser.");
+    applySettingsChange();
+  });
 
-    for (const [key, symbol] of Object.entries(BENCHMARK_SYMBOLS)) {
-      if (!benchChecks[key]) continue;
-      const dataset = await buildDataset(symbol, start, end, symbol, benchColors[key]);
-      datasets.push(dataset);
-    }
+  $("#provider-select").addEventListener("change", (e) => {
+    localStorage.setItem(PROVIDER_STORAGE_KEY, e.target.value);
+    setSettingsStatus(`Using ${getMarketDataProvider().label}.`);
+    applySettingsChange();
+  });
 
-    if (searchChart) {
-      searchChart.destroy();
-    }
+  $("#base-currency").addEventListener("change", (e) => {
+    localStorage.setItem(BASE_CURRENCY_STORAGE_KEY, e.target.value);
+    setSettingsStatus(`Portfolio values are now shown in ${e.target.value}.`);
+    if (!editingTransactionId) $("#ledger-currency").value = e.target.value;
+    renderLedgerTable();
+    applySettingsChange();
+  });
 
-    const ctx = document.getElementById("search-chart").getContext("2d");
-    searchChart = new Chart(ctx, {
-      type: "line",
-      data: { labels, datasets },
-      options: {
-        responsive: true,
-        maintainAspectRatio: false,
-        plugins: {
-          legend: {
-            labels: {
-              color: "#cdd3eb",
-              font: { family: "Space Grotesk", size: 11 },
-            },
-          },
-          tooltip: { mode: "index", intersect: false },
-        },
-        interaction: { mode: "index", intersect: false },
-        scales: {
-          x: {
-            ticks: { color: "#848ca3", maxTicksLimit: 7 },
-            grid: { color: "rgba(255,255,255,0.05)" },
-          },
-          y: {
-            ticks: { color: "#848ca3" },
-            grid: { color: "rgba(255,255,255,0.05)" },
-          },
-        },
-      },
+  ["#history-full", "#history-adjusted"].forEach((selector) => {
+    $(selector).addEventListener("change", () => {
+      localStorage.setItem(
+        PRICE_HISTORY_STORAGE_KEY,
+        JSON.stringify({
+          full: $("#history-full").checked,
+          adjusted: $("#history-adjusted").checked,
+        })
+      );
+      setSettingsStatus("Price history preference saved.");
+      applySettingsChange();
+      if (currentSearchSymbol) updateSearchChart();
     });
+  });
 
-    status.textContent = "";
-  } catch (e) {
-    console.error(e);
-    status.textContent =
-      "There was a problem loading performance data for this ticker.";
-  }
+  $("#onboarding-settings").addEventListener("click", () => showPage("settings-page"));
+  $("#onboarding-fixtures").addEventListener("click", () => {
+    localStorage.setItem(PROVIDER_STORAGE_KEY, fixtureProvider.id);
+    applySettingsChange();
+  });
+
+  renderSettingsPage();
 }
 
 // INIT
 document.addEventListener("DOMContentLoaded", () => {
-  if (!ALPHA_VANTAGE_KEY || ALPHA_VANTAGE_KEY === "YOUR_ALPHA_VANTAGE_API_KEY_HERE") {
-    console.warn("Remember to set your Alpha Vantage API key in script.js.");
-  }
-
   initNavigation();
+  initSettings();
+  loadBenchmarksFromStorage();
+  renderBenchmarkToggles();
+  renderBenchmarkManager();
+  $("#benchmark-form").addEventListener("submit", handleBenchmarkFormSubmit);
+  initRangePresets("#portfolio-range-form", "portfolio", updatePortfolioChart);
+  initRangePresets("#search-range-form", "search", updateSearchChart);
+  initComparePage();
+  initBacktest();
+  initSearchChartMode();
+  initIndicatorForm();
+  initFinancials();
+  renderOnboardingState();
+  renderApiStatus();
   loadPortfolioFromStorage();
+  initPortfolioSwitcher();
+  initImportExport();
+  initAllocation();
+  initIncome();
+  initRebalancing();
   renderPortfolioList();
+  renderLedgerTable();
   updatePortfolioChart();
+  initWatchlist();
+  initNewsFilters();
 
-  $("#add-position-form").addEventListener("submit", (e) => {
+  searchPicker = attachSymbolPicker($("#search-input"), {
+    onPick: () => $("#search-form").requestSubmit(),
+  });
+  positionPicker = attachSymbolPicker($("#ticker-input"), {
+    onPick: () => $("#shares-input").focus(),
+  });
+
+  $("#add-position-form").addEventListener("submit", async (e) => {
     e.preventDefault();
+    const form = e.target;
     const input = $("#ticker-input");
-    const raw = input.value.trim();
-    if (!raw) return;
+    const sharesInput = $("#shares-input");
+    const costInput = $("#cost-input");
+    const dateInput = $("#purchase-date-input");
+    if (!input.value.trim()) return;
 
-    const symbol = raw.toUpperCase();
+    // Only listings the data provider knows about can be added.
+    let match;
+    try {
+      match = await resolvePickedSymbol(positionPicker);
+    } catch (err) {
+      console.error(err);
+      alert(describeApiError(err, "Unable to look up that ticker right now."));
+      return;
+    }
+    if (!match) return;
+    const symbol = match.symbol.toUpperCase();
+    if (!isValidSymbol(symbol)) {
+      alert(`${symbol} can't be added to the ledger.`);
+      return;
+    }
 
-    if (!/^[A-Z.\-]{1,6}$/.test(symbol)) {
-      alert("Please enter a simple ticker symbol like AAPL or MSFT.");
+    const shares = parseFloat(sharesInput.value);
+    if (!Number.isFinite(shares) || shares <= 0) {
+      alert("Please enter a positive number of shares.");
       return;
     }
 
-    if (!portfolio.includes(symbol)) {
-      portfolio.push(symbol);
-      savePortfolioToStorage();
-      renderPortfolioList();
-      updatePortfolioChart();
+    const costBasis = costInput.value === "" ? null : parseFloat(costInput.value);
+    if (costBasis !== null && (!Number.isFinite(costBasis) || costBasis < 0)) {
+      alert("Cost basis must be a non-negative price per share.");
+      return;
     }
 
-    input.value = "";
+    transactions.push(
+      normalizeTransaction({
+        type: "buy",
+        date: dateInput.value || null,
+        symbol,
+        shares,
+        price: costBasis,
+      })
+    );
+    commitLedgerChange();
+
+    form.reset();
+    positionPicker.reset();
+  });
+
+  $("#ledger-type").addEventListener("change", syncLedgerFieldsToType);
+  $("#ledger-form").addEventListener("submit", handleLedgerSubmit);
+  $("#ledger-cancel").addEventListener("click", () => {
+    resetLedgerForm();
+    renderLedgerTable();
   });
+  resetLedgerForm();
 
   $("#portfolio-range-form").addEventListener("submit", (e) => {
     e.preventDefault();
     updatePortfolioChart();
   });
 
-  $("#bench-spy").addEventListener("change", updatePortfolioChart);
-  $("#bench-dia").addEventListener("change", updatePortfolioChart);
-  $("#bench-qqq").addEventListener("change", updatePortfolioChart);
 
   // Search
   $("#search-form").addEventListener("submit", handleSearchSubmit);
@@ -816,7 +7250,7 @@ document.addEventListener("DOMContentLoaded", () => {
     e.preventDefault();
     updateSearchChart();
   });
-  $("#search-bench-spy").addEventListener("change", updateSearchChart);
-  $("#search-bench-dia").addEventListener("change", updateSearchChart);
-  $("#search-bench-qqq").addEventListener("change", updateSearchChart);
+
+  const route = parseRoute(location.hash);
+  if (route) applyRoute(route);
 });
\ No newline at end of file